@@ -12,6 +12,10 @@
  * Dump for shared stuff that doesn't fit in another source file.
  */
 
+var assert = require('assert-plus');
+var format = require('util').format;
+var os = require('os');
+
 
 function getVersion() {
     return require('../package.json').version;
@@ -97,6 +101,90 @@ function objMerge(a, b) {
 }
 
 
+/**
+ * A short human-readable duration, e.g. "1h20m" or "350ms". Only the two
+ * most significant units are shown.
+ */
+function humanDurationFromMs(ms) {
+    assert.number(ms, 'ms');
+    var sizes = [
+        ['ms', 1000, 's'],
+        ['s', 60, 'm'],
+        ['m', 60, 'h'],
+        ['h', 24, 'd']
+    ];
+    if (ms === 0) {
+        return '0ms';
+    }
+    var bits = [];
+    var n = ms;
+    for (var i = 0; i < sizes.length; i++) {
+        var size = sizes[i];
+        var remainder = n % size[1];
+        if (remainder === 0) {
+            bits.unshift('');
+        } else {
+            bits.unshift(format('%d%s', remainder, size[0]));
+        }
+        n = Math.floor(n / size[1]);
+        if (n === 0) {
+            break;
+        } else if (size[2] === 'd') {
+            bits.unshift(format('%d%s', n, size[2]));
+            break;
+        }
+    }
+    return bits.slice(0, 2).join('');
+}
+
+
+/**
+ * The IP on which to talk to the Ur agents: the admin IP of this zone, or
+ * the configured "admin_ip" if not running in the 'sdc' zone.
+ *
+ * @param config {Object} The sdc zone config (etc/config.json).
+ */
+function getLocalIp(config) {
+    assert.object(config, 'config');
+
+    var interfaces = os.networkInterfaces();
+    var ifs = interfaces['net0'] || interfaces['en1'] || interfaces['en0'];
+    var ip;
+
+    if (!ifs) {
+        return (config.admin_ip);
+    }
+
+    for (var i = 0; i < ifs.length; i++) {
+        if (ifs[i].family === 'IPv4') {
+            ip = ifs[i].address;
+            break;
+        }
+    }
+    return ip;
+}
+
+
+/**
+ * The urclient `amqp_config` from the "rabbitmq" field
+ * ("login:password:host:port") of the given sdc zone config.
+ */
+function getAmqpConfig(config) {
+    assert.object(config, 'config');
+    assert.string(config.rabbitmq, 'config.rabbitmq');
+
+    var arr = config.rabbitmq.split(':');
+    assert.strictEqual(arr.length, 4, 'malformed rabbitmq: ' +
+        config.rabbitmq);
+
+    return ({
+        login: arr[0],
+        password: arr[1],
+        host: arr[2],
+        port: Number(arr[3])
+    });
+}
+
 
 //---- exports
 
@@ -104,5 +192,8 @@ module.exports = {
     getVersion: getVersion,
     getPassword: getPassword,
     objCopy: objCopy,
-    objMerge: objMerge
+    objMerge: objMerge,
+    humanDurationFromMs: humanDurationFromMs,
+    getLocalIp: getLocalIp,
+    getAmqpConfig: getAmqpConfig
 };
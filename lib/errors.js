@@ -136,6 +136,91 @@ function NoSuchValueError(cause, loginOrUuid, attr, value) {
 }
 util.inherits(NoSuchValueError, SdcError);
 
+function NoSuchVmError(name) {
+    assert.string(name, 'name');
+    SdcError.call(this, {
+        message: format('no VM with UUID, UUID prefix or alias "%s"', name),
+        code: 'NoSuchVm',
+        exitStatus: 1
+    });
+}
+util.inherits(NoSuchVmError, SdcError);
+
+/**
+ * A VM alias or UUID prefix matched more than one VM.
+ *
+ * @param name {String} The alias or UUID prefix.
+ * @param vms {Array} The candidate VMs.
+ */
+function AmbiguousVmError(name, vms) {
+    assert.string(name, 'name');
+    assert.arrayOfObject(vms, 'vms');
+    var message = format('"%s" matches %d VMs:', name, vms.length);
+    vms.forEach(function (vm) {
+        message += format('\n    %s  %s  (owner %s, %s)', vm.uuid,
+            vm.alias || '-', vm.owner_uuid, vm.state);
+    });
+    SdcError.call(this, {
+        message: message,
+        code: 'AmbiguousVm',
+        exitStatus: 1
+    });
+}
+util.inherits(AmbiguousVmError, SdcError);
+
+/**
+ * A command run on a compute node (via Ur) failed.
+ *
+ * @param serverUuid {String}
+ * @param command {String}
+ * @param stderr {String}
+ */
+function UrExecError(serverUuid, command, stderr) {
+    assert.string(serverUuid, 'serverUuid');
+    assert.string(command, 'command');
+    assert.string(stderr, 'stderr');
+    SdcError.call(this, {
+        message: format('"%s" on server %s failed: %s', command, serverUuid,
+            stderr.trim()),
+        code: 'UrExec',
+        exitStatus: 1
+    });
+}
+util.inherits(UrExecError, SdcError);
+
+/**
+ * A command run in a VM exited non-zero. The exit status is passed on.
+ *
+ * @param command {String}
+ * @param status {Number} The command's exit status.
+ */
+function CommandExitError(command, status) {
+    assert.string(command, 'command');
+    assert.number(status, 'status');
+    SdcError.call(this, {
+        message: format('"%s" exited with status %d', command, status),
+        code: 'CommandExit',
+        exitStatus: status
+    });
+}
+util.inherits(CommandExitError, SdcError);
+
+/**
+ * A payload failed validation.
+ *
+ * @param problems {Array} of string problem descriptions.
+ */
+function ValidationError(problems) {
+    assert.arrayOfString(problems, 'problems');
+    SdcError.call(this, {
+        message: format('%d problem(s) found:\n    %s', problems.length,
+            problems.join('\n    ')),
+        code: 'Validation',
+        exitStatus: 1
+    });
+}
+util.inherits(ValidationError, SdcError);
+
 function APIError(cause) {
     assert.object(cause, 'cause');
     assert.optionalNumber(cause.statusCode, 'cause.statusCode');
@@ -161,6 +246,83 @@ function APIError(cause) {
 APIError.description = 'An error from an SDC API request.';
 util.inherits(APIError, SdcError);
 
+/**
+ * A workflow job that did not succeed.
+ *
+ * @param job {Object} The workflow job, as returned by VMAPI's GetJob.
+ */
+function JobFailedError(job) {
+    assert.object(job, 'job');
+    assert.string(job.uuid, 'job.uuid');
+    assert.string(job.execution, 'job.execution');
+    var message = format('job %s (%s) %s', job.uuid, job.name,
+        job.execution);
+    var results = job.chain_results || [];
+    for (var i = results.length - 1; i >= 0; i--) {
+        var jobErr = results[i].error;
+        if (jobErr) {
+            message += format(' in task "%s": %s', results[i].name,
+                jobErr.message || (typeof (jobErr) === 'string'
+                    ? jobErr : JSON.stringify(jobErr)));
+            break;
+        }
+    }
+    SdcError.call(this, {
+        message: message,
+        code: 'JobFailed',
+        exitStatus: 1
+    });
+}
+JobFailedError.description = 'A workflow job did not succeed.';
+util.inherits(JobFailedError, SdcError);
+
+
+/**
+ * An action run on multiple VMs (or other things) failed for some of them.
+ *
+ * @param action {String} e.g. "stop".
+ * @param numFailed {Number}
+ * @param numTotal {Number}
+ * @param what {String} Optional. What was acted on. Default "VMs".
+ */
+function BulkActionError(action, numFailed, numTotal, what) {
+    assert.string(action, 'action');
+    assert.number(numFailed, 'numFailed');
+    assert.number(numTotal, 'numTotal');
+    assert.optionalString(what, 'what');
+    SdcError.call(this, {
+        message: format('%s failed for %d of %d %s', action, numFailed,
+            numTotal, what || 'VMs'),
+        code: 'BulkActionFailed',
+        exitStatus: 1
+    });
+}
+BulkActionError.description = 'An action failed for some of the VMs.';
+util.inherits(BulkActionError, SdcError);
+
+
+/**
+ * A destructive action was refused because the VMs are core VMs or are
+ * tagged as protected.
+ *
+ * @param vms {Array} of `{uuid, alias, reason}` for the protected VMs.
+ */
+function ProtectedVmError(vms) {
+    assert.arrayOfObject(vms, 'vms');
+    SdcError.call(this, {
+        message: format('refusing to act on protected VM%s without ' +
+            '"--force": %s', vms.length === 1 ? '' : 's',
+            vms.map(function (vm) {
+                return format('%s (%s, %s)', vm.uuid,
+                    vm.alias || 'no alias', vm.reason);
+            }).join(', ')),
+        code: 'ProtectedVm',
+        exitStatus: 1
+    });
+}
+ProtectedVmError.description = 'A VM is a core VM or is tagged protected.';
+util.inherits(ProtectedVmError, SdcError);
+
 
 
 
@@ -173,5 +335,13 @@ module.exports = {
     NoSuchKeyError: NoSuchKeyError,
     NoSuchAttributeError: NoSuchAttributeError,
     NoSuchValueError: NoSuchValueError,
-    APIError: APIError
+    NoSuchVmError: NoSuchVmError,
+    AmbiguousVmError: AmbiguousVmError,
+    UrExecError: UrExecError,
+    CommandExitError: CommandExitError,
+    ValidationError: ValidationError,
+    APIError: APIError,
+    JobFailedError: JobFailedError,
+    BulkActionError: BulkActionError,
+    ProtectedVmError: ProtectedVmError
 };
@@ -31,29 +31,18 @@
 /*
  * TODO:
  * - check all LOGSETS are correct
- * - -j|-J|-b for bunyan output and tabular output.
- *   Option group showing all the output formats.
- * - -H, -o,  -o *,foo ('*' means default fields)
  * - -a; -n NODE,...; -n core, -N UUID  (node handling. see notes)
  * - `-s -imgapi` to *exclude* the imgapi logset
  * - shortcuts for logset groups, exclude heavy but uncommon ones (ufds?)
  *   by default?
  *
  * Someday/Maybe:
- * - `sdc-events ... vm=UUID` to first find all req_ids for ops on that VM
- *   in sdc-docker and cloudapi logs for that time period. Then get all
- *   events for those req_ids.
- * - `sdc-events ... owner=UUID` to first find all req_ids for ops for that
- *   user in sdc-docker and cloudapi logs for that time period. Then get all
- *   events for those req_ids.
  * - answer for `PROGRESS` func: want it without all trace logging, but probably
  *   not by default. So separate '-v' and TRACE envvar perhaps?
- * - follow
  * - --last: store last results' raw json stream to file based on PPID
  *   and allow re-access via --last. E.g. saw something interesting and want
  *   to see again.
  * - caching (cache "all events" for an hour and logset and use that)
- * - `-t TIME-RANGE`, e.g. `-t 3h-2h`
  */
 
 var VERSION = '1.1.0';
@@ -69,11 +58,15 @@ var path = require('path');
 var sdcClients = require('sdc-clients');
 var spawn = require('child_process').spawn;
 var stream = require('stream');
+var tabula = require('tabula');
 var vasync = require('vasync');
 var VError = require('verror').VError;
 var urclient = require('urclient');
 var util = require('util');
 
+var common = require('../lib/common'),
+    humanDurationFromMs = common.humanDurationFromMs;
+
 
 // ---- globals
 
@@ -100,6 +93,8 @@ var SAPI;
 var URCLIENT;
 var PROGRESS;
 
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
 
 // ---- log sets
 
@@ -298,38 +293,6 @@ var LOGSETS = [
 
 // ---- internal support stuff
 
-function humanDurationFromMs(ms) {
-    assert.number(ms, 'ms');
-    var sizes = [
-        ['ms', 1000, 's'],
-        ['s', 60, 'm'],
-        ['m', 60, 'h'],
-        ['h', 24, 'd']
-    ];
-    if (ms === 0) {
-        return '0ms';
-    }
-    var bits = [];
-    var n = ms;
-    for (var i = 0; i < sizes.length; i++) {
-        var size = sizes[i];
-        var remainder = n % size[1];
-        if (remainder === 0) {
-            bits.unshift('');
-        } else {
-            bits.unshift(fmt('%d%s', remainder, size[0]));
-        }
-        n = Math.floor(n / size[1]);
-        if (n === 0) {
-            break;
-        } else if (size[2] === 'd') {
-            bits.unshift(fmt('%d%s', n, size[2]));
-            break;
-        }
-    }
-    return bits.slice(0, 2).join('');
-}
-
 function readConfig() {
     var configPath = process.env.SMARTDC_CONFIG_FILE ||
         path.join(__dirname, '../etc/config.json');
@@ -470,11 +433,105 @@ function initSapi() {
 }
 
 
+/**
+ * Translate search filters to the `egrep` patterns used to find them.
+ *
+ * `filters` is an array of filter definitions like this:
+ *      [<field>, <op>[, <value>]]
+ *
+ * Supported <op>s are (shown with examples):
+ *      ['TERM', 'raw']
+ *          grep for 'TERM'
+ *      ['evt', 'exists']
+ *          'evt' field exists
+ *      ['req_id', 'in', [<UUID1>, <UUID2>]]
+ *          'req_id' field is one of the given UUIDs
+ *
+ * TODO: We should also do post-filtering on the pre-`grep`d and
+ * `JSON.parse`d Bunyan records to avoid false positives.
+ */
+function grepPatternsFromFilters(filters) {
+    var grepPatterns = [];
+    for (var i = 0; i < filters.length; i++) {
+        var field = filters[i][0];
+        var op = filters[i][1];
+        var value = filters[i][2];
+        switch (op) {
+        case 'raw':
+            grepPatterns.push(fmt('%s', field));
+            break;
+        case 'exists':
+            grepPatterns.push(fmt('"%s":', field));
+            break;
+        case 'in':
+            // Only support string values for now.
+            assert.arrayOfString(value, 'filters['+i+'][2]');
+            grepPatterns.push(fmt('"%s":"(%s)"', field, value.join('|')));
+            break;
+        default:
+            throw new Error(fmt(
+                'unknown BunyanSortedGrep filter op: "%s"', op));
+        }
+    }
+    return grepPatterns;
+}
+
+
+/**
+ * Parse the bunyan records from grep output into "hits":
+ * `{line, rec, time, logInst}`. Records before `startTimeCut` or at or after
+ * `endTimeCut` (if given) are dropped.
+ */
+function hitsFromGrepOutput(output, startTimeCut, endTimeCut, logInst) {
+    var hits = [];
+    var lines = output.split(/\n/);
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i];
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            var rec = JSON.parse(line);
+        } catch (ex) {
+            console.warn('WARN: grep hit is not a JSON line (skip): %j',
+                line);
+            continue;
+        }
+
+        var time = new Date(rec.time);
+        if (startTimeCut && time < startTimeCut) {
+            continue;
+        } else if (endTimeCut && time >= endTimeCut) {
+            continue;
+        }
+
+        hits.push({
+            line: line,
+            rec: rec,
+            time: time,
+            logInst: logInst
+        });
+    }
+    return hits;
+}
+
+
+function cmpHitTime(a, b) {
+    if (a.time < b.time) {
+        return -1;
+    } else if (a.time > b.time) {
+        return 1;
+    } else {
+        return 0;
+    }
+}
+
+
 /**
  * Grep the bunyan log for each given "log instance" (logInst) for a one hour
  * segment, then sort the results chronologically. This creates a new
- * readable stream of hits. The returned hits are the raw bunyan log line
- * (i.e. a string).
+ * readable stream of hits, `{line, rec, time, logInst}` (see
+ * `hitsFromGrepOutput`).
  */
 function BunyanSortedGrep(opts) {
     assert.object(opts, 'opts');
@@ -483,52 +540,16 @@ function BunyanSortedGrep(opts) {
     assert.arrayOfObject(opts.logInsts, 'opts.logInsts');
     assert.arrayOfObject(opts.filters, 'opts.filters');
     assert.optionalObject(opts.startTimeCut, 'opts.startTimeCut');
+    assert.optionalObject(opts.endTimeCut, 'opts.endTimeCut');
     LOG.debug({opts: opts}, 'BunyanSortedGrep');
 
     this.zonename = opts.zonename;
     this.hour = opts.hour;
     this.logInsts = opts.logInsts;
     this.startTimeCut = opts.startTimeCut;
+    this.endTimeCut = opts.endTimeCut;
 
-    /*
-     * `filters` is an array of filter definitions like this:
-     *      [<field>, <op>[, <value>]]
-     *
-     * Supported <op>s are (shown with examples):
-     *      ['TERM', 'raw']
-     *          grep for 'TERM'
-     *      ['evt', 'exists']
-     *          'evt' field exists
-     *      ['req_id', 'in', [<UUID1>, <UUID2>]]
-     *          'req_id' field is one of the given UUIDs
-     *
-     * These get translated to grep patterns.
-     *
-     * TODO: We should also do post-filtering on the pre-`grep`d and
-     * `JSON.parse`d Bunyan records to avoid false positives.
-     */
-    this.grepPatterns = [];
-    for (var i = 0; i < opts.filters.length; i++) {
-        var field = opts.filters[i][0];
-        var op = opts.filters[i][1];
-        var value = opts.filters[i][2];
-        switch (op) {
-        case 'raw':
-            this.grepPatterns.push(fmt('%s', field));
-            break;
-        case 'exists':
-            this.grepPatterns.push(fmt('"%s":', field));
-            break;
-        case 'in':
-            // Only support string values for now.
-            assert.arrayOfString(value, 'opts.filters['+i+'][2]');
-            this.grepPatterns.push(fmt('"%s":"(%s)"', field, value.join('|')));
-            break;
-        default:
-            throw new Error(fmt(
-                'unknown BunyanSortedGrep filter op: "%s"', op));
-        }
-    }
+    this.grepPatterns = grepPatternsFromFilters(opts.filters);
 
     stream.Readable.call(this, {objectMode: true});
 }
@@ -649,32 +670,8 @@ BunyanSortedGrep.prototype._start = function () {
                 return next();
            }
 
-            var lines = output.split(/\n/);
-            for (var i = 0; i < lines.length; i++) {
-                var line = lines[i];
-                if (!line.trim()) {
-                    continue;
-                }
-                try {
-                    var rec = JSON.parse(line);
-                } catch (ex) {
-                    console.warn('WARN: grep hit is not a JSON line (skip): %j',
-                        line);
-                    continue;
-                }
-
-                var time = new Date(rec.time);
-                if (self.startTimeCut && time < self.startTimeCut) {
-                    continue;
-                }
-
-                hits.push({
-                    line: line,
-                    rec: rec,
-                    time: time
-                });
-            }
-
+            hits = hits.concat(hitsFromGrepOutput(output, self.startTimeCut,
+                self.endTimeCut, logInst));
             next();
         });
     }
@@ -684,21 +681,13 @@ BunyanSortedGrep.prototype._start = function () {
         var SORT_START = Date.now();
         LOG.trace('[%s] start sorting %d hits for hour "%s"',
             SORT_START, hits.length, self.hour);
-        hits = hits.sort(function cmpTime(a, b) {
-            if (a.time < b.time) {
-                return -1;
-            } else if (a.time > b.time) {
-                return 1;
-            } else {
-                return 0;
-            }
-        });
+        hits = hits.sort(cmpHitTime);
         var SORT_END = Date.now();
         LOG.trace('[%s] end sorting %d hits for hour "%s" (duration %s)',
             SORT_END, hits.length, self.hour, SORT_END-SORT_START);
 
         for (var i = 0; i < hits.length; i++) {
-            if (!self.push(hits[i].rec)) {
+            if (!self.push(hits[i])) {
                 console.warn('WARN: ignoring backpressure!');
             }
         }
@@ -714,9 +703,454 @@ BunyanSortedGrep.prototype._read = function (size) {
 };
 
 
+/*
+ * How often `BunyanFollowGrep` polls each log instance, and how long it
+ * holds records to order them with those from other instances.
+ */
+var FOLLOW_INTERVAL = 5000;
+var FOLLOW_REORDER_WINDOW = 2000;
+
+/**
+ * Run the given bash script for a log instance: locally for the headnode
+ * (if we are in the GZ), else via urclient on the instance's node.
+ *
+ * @param cb {Function} `function (err, stdout)`
+ */
+function execLogInstScript(zonename, logInst, script, cb) {
+    if (zonename === 'global' && logInst.node.headnode) {
+        // The script is given on stdin because it can be large.
+        var bash = spawn('/usr/bin/bash', [],
+            {stdio: ['pipe', 'pipe', 'ignore']});
+        bash.stdout.setEncoding('utf8');
+        var chunks = [];
+        var called = false;
+        bash.on('error', function (err) {
+            if (!called) {
+                called = true;
+                cb(err);
+            }
+        });
+        bash.stdout.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        bash.on('close', function () {
+            if (!called) {
+                called = true;
+                cb(null, chunks.join(''));
+            }
+        });
+        bash.stdin.end(script);
+    } else {
+        URCLIENT.exec({
+            script: script,
+            server_uuid: logInst.node.uuid,
+            timeout: 30 * 1000,
+            env: {}
+        }, function (err, result) {
+            if (err) {
+                cb(err);
+            } else if (result.exit_status !== 0) {
+                cb(new Error(fmt('error running script on server "%s": %s',
+                    logInst.node.uuid, result.stderr)));
+            } else {
+                cb(null, result.stdout);
+            }
+        });
+    }
+}
+
+/**
+ * Follow the current ("curr") bunyan log for each given log instance: a
+ * readable stream of hits for matching records, in time order, that does not
+ * end.
+ *
+ * Each poll (locally for the headnode, via urclient for other nodes) greps
+ * only what was appended to each file matching the instance's "curr" glob
+ * since the last poll, tracking the inode, size and a checksum of the last
+ * bytes read of each file. Records for all instances are held until a poll
+ * that started after them (less `FOLLOW_REORDER_WINDOW` for clock skew and
+ * log writing) has finished, so they are emitted in order.
+ *
+ * When a file is rotated (its inode or those last bytes change, e.g. when
+ * it is truncated) or the hour changes, the just-rotated hourly log is also
+ * grepped for records since the previous poll that were not yet seen, so
+ * that records logged just before the rotation are not lost.
+ */
+function BunyanFollowGrep(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.zonename, 'opts.zonename');
+    assert.arrayOfObject(opts.logInsts, 'opts.logInsts');
+    assert.arrayOfObject(opts.filters, 'opts.filters');
+    assert.date(opts.startTimeCut, 'opts.startTimeCut');
+    LOG.debug({opts: opts}, 'BunyanFollowGrep');
+
+    this.zonename = opts.zonename;
+    this.logInsts = opts.logInsts;
+    this.startTimeCut = opts.startTimeCut;
+    this.grepPatterns = grepPatternsFromFilters(opts.filters);
+    assert.equal(this.grepPatterns.join('\n').indexOf('\''), -1,
+        'Limitation: not escaping single-quotes yet');
+
+    /*
+     * Per log instance:
+     * - `files`: `{ino, size, sum}` for each file path, i.e. where to
+     *   continue reading it.
+     * - `recentLines`: the time of each line seen since shortly before the
+     *   previous poll, to skip them when grepping a rotated log.
+     */
+    this.instStates = opts.logInsts.map(function () {
+        return {files: {}, recentLines: {}};
+    });
+    this.lastPollStart = null;
+    this.held = [];
+
+    stream.Readable.call(this, {objectMode: true});
+}
+util.inherits(BunyanFollowGrep, stream.Readable);
+
+/*
+ * The bash script to poll one log instance: for each current log file,
+ * print a "#FILE <ino> <size> <sum> <path>" line and the matching lines
+ * appended since the last poll. If a file was rotated (or `rotated` is set),
+ * then print "#ROTATED" and the matching lines from the just-rotated log.
+ */
+BunyanFollowGrep.prototype._pollScript = function (logInst, state, rotated,
+        rotatedHour) {
+    var grepCmd = this.grepPatterns.map(function (pattern) {
+        return fmt('/usr/bin/egrep -- \'%s\'', pattern);
+    }).join(' | ');
+    var script = [
+        '#!/bin/bash',
+        '',
+        'declare -A SEEN'
+    ];
+    Object.keys(state.files).forEach(function (file) {
+        assert.equal(file.indexOf('\''), -1,
+            'Limitation: not escaping single-quotes yet');
+        script.push(fmt('SEEN[\'%s\']=\'%s %d %s\'', file,
+            state.files[file].ino, state.files[file].size,
+            state.files[file].sum));
+    });
+    script = script.concat([
+        '',
+        '# The checksum of (up to) 64 bytes before the given offset in a file.',
+        'function tailsum {',
+        '    local start=$(( $2 > 64 ? $2 - 63 : 1 ))',
+        '    /usr/bin/tail -c +${start} "$1" | /usr/bin/head -c $(( $2 - ' +
+            'start + 1 )) \\',
+        '        | /usr/bin/cksum | /usr/bin/awk \'{print $1}\'',
+        '}',
+        '',
+        'rotated=' + (rotated ? 1 : 0),
+        'for file in ' + logInst.logset.getFileGlob(logInst.zone, 'curr') +
+            '; do',
+        '    if [[ ! -f "${file}" ]]; then',
+        '        continue',
+        '    fi',
+        '    set -- $(/usr/bin/ls -lni "${file}")',
+        '    ino=$1',
+        '    size=$6',
+        '    offset=0',
+        '    if [[ -n "${SEEN[${file}]}" ]]; then',
+        '        seen=(${SEEN[${file}]})',
+        '        if [[ ${seen[0]} == ${ino} && ${seen[1]} -le ${size} &&',
+        '            $(tailsum "${file}" ${seen[1]}) == ${seen[2]} ]]; then',
+        '            offset=${seen[1]}',
+        '        else',
+        '            rotated=1',
+        '        fi',
+        '    fi',
+        '    echo "#FILE ${ino} ${size} $(tailsum "${file}" ${size}) ${file}"',
+        '    if [[ ${size} -gt ${offset} ]]; then',
+        '        /usr/bin/tail -c +$((offset + 1)) "${file}" \\',
+        '            | /usr/bin/head -c $((size - offset)) | ' + grepCmd,
+        '    fi',
+        'done',
+        'if [[ ${rotated} == 1 ]]; then',
+        '    echo "#ROTATED"',
+        '    for file in ' +
+            logInst.logset.getFileGlob(logInst.zone, rotatedHour) + '; do',
+        '        if [[ -f "${file}" ]]; then',
+        '            /usr/bin/cat "${file}" | ' + grepCmd,
+        '        fi',
+        '    done',
+        'fi',
+        'exit 0'
+    ]);
+    return script.join('\n');
+};
+
+BunyanFollowGrep.prototype._poll = function () {
+    var self = this;
+    var pollStart = new Date();
+    var oneHour = 60 * 60 * 1000;
+
+    // Records logged in the previous hour are rotated to a log file named
+    // for this hour (see `getHours` in `main`).
+    var hour = pollStart - (pollStart % oneHour);
+    var rotatedHour = new Date(hour).toISOString().slice(0, 14);
+    var hourChanged = (self.lastPollStart !== null &&
+        self.lastPollStart - (self.lastPollStart % oneHour) !== hour);
+    // Records in a rotated log since shortly before the last poll may not
+    // have been seen.
+    var rotatedTimeCut = new Date((self.lastPollStart || pollStart) -
+        FOLLOW_REORDER_WINDOW);
+
+    var queue = vasync.queuev({
+        concurrency: 5,
+        worker: pollOneInst
+    });
+    queue.on('end', donePolls);
+    queue.push(self.logInsts.map(function (logInst, idx) {
+        return {logInst: logInst, state: self.instStates[idx]};
+    }));
+    queue.close();
+
+    function pollOneInst(task, next) {
+        var logInst = task.logInst;
+        var state = task.state;
+        var script = self._pollScript(logInst, state, hourChanged,
+            rotatedHour);
+        execLogInstScript(self.zonename, logInst, script,
+                function (err, output) {
+            if (err) {
+                console.warn('WARN: could not follow %s log on %s: %s',
+                    logInst.logset.name, logInst.node.hostname, err.message);
+                return next();
+            }
+
+            var files = {};
+            var currLines = [];
+            var rotatedLines = [];
+            var lines = currLines;
+            output.split(/\n/).forEach(function (line) {
+                var match = /^#FILE (\d+) (\d+) (\d+) (.*)$/.exec(line);
+                if (match) {
+                    files[match[4]] = {
+                        ino: match[1],
+                        size: Number(match[2]),
+                        sum: match[3]
+                    };
+                } else if (line === '#ROTATED') {
+                    lines = rotatedLines;
+                } else {
+                    lines.push(line);
+                }
+            });
+            state.files = files;
+
+            var hits = hitsFromGrepOutput(currLines.join('\n'),
+                self.startTimeCut, undefined, logInst).concat(
+                hitsFromGrepOutput(rotatedLines.join('\n'),
+                    rotatedTimeCut, undefined, logInst));
+            for (var i = 0; i < hits.length; i++) {
+                var hit = hits[i];
+                if (state.recentLines[hit.line]) {
+                    continue;
+                }
+                state.recentLines[hit.line] = hit.time.valueOf();
+                self.held.push(hit);
+            }
+
+            // Only lines since shortly before this poll are needed to check
+            // a rotated log in the next poll.
+            var keepTime = pollStart - FOLLOW_REORDER_WINDOW;
+            Object.keys(state.recentLines).forEach(function (line) {
+                if (state.recentLines[line] < keepTime) {
+                    delete state.recentLines[line];
+                }
+            });
+            next();
+        });
+    }
+
+    function donePolls() {
+        self.lastPollStart = pollStart;
+        var cutoff = new Date(pollStart - FOLLOW_REORDER_WINDOW);
+        var ready = [];
+        var held = [];
+        for (var i = 0; i < self.held.length; i++) {
+            if (self.held[i].time < cutoff) {
+                ready.push(self.held[i]);
+            } else {
+                held.push(self.held[i]);
+            }
+        }
+        self.held = held;
+        ready.sort(cmpHitTime);
+        LOG.trace({numReady: ready.length, numHeld: held.length},
+            'BunyanFollowGrep poll done');
+        for (i = 0; i < ready.length; i++) {
+            self.push(ready[i]);
+        }
+        setTimeout(function () {
+            self._poll();
+        }, Math.max(0, FOLLOW_INTERVAL - (Date.now() - pollStart)));
+    }
+};
+
+BunyanFollowGrep.prototype._read = function (size) {
+    if (!this._started) {
+        this._started = true;
+        this._poll();
+    }
+};
+
+
+/**
+ * Get the "log instances" -- a logset on a node, in the GZ or a zone --
+ * to search for the given logsets. Sets `ctx.haveNonHeadnodeInsts` if any
+ * are not on the headnode.
+ */
+function logInstsFromLogsets(ctx, logsets) {
+    var i, j;
+    var logInsts = [];
+    for (i = 0; i < logsets.length; i++) {
+        var logset = logsets[i];
+        if (logset.global) {
+            for (j = 0; j < ctx.nodes.length; j++) {
+                if (!ctx.nodes[j].headnode) {
+                    ctx.haveNonHeadnodeInsts = true;
+                }
+                logInsts.push({
+                    logset: logset,
+                    node: ctx.nodes[j],
+                    zone: 'global'
+                });
+            }
+        } else {
+            var sdcInsts = ctx.sdcInstsFromSvc[logset.sapiSvcName] || [];
+            for (j = 0; j < sdcInsts.length; j++) {
+                var nodeUuid = ctx.vmFromUuid[sdcInsts[j].uuid].server_uuid;
+                var node = ctx.nodeFromUuid[nodeUuid];
+                if (node) {
+                    if (!node.headnode) {
+                        ctx.haveNonHeadnodeInsts = true;
+                    }
+                    logInsts.push({
+                        logset: logset,
+                        node: node,
+                        zone: sdcInsts[j].uuid
+                    });
+                }
+            }
+        }
+    }
+    return logInsts;
+}
+
+
+/**
+ * The hourly log files to search for the time range from `start` up to
+ * (not including) `end`: the hour part of the rotated log file names (e.g.
+ * "2015-02-13T21:"), or "curr" for the current log.
+ *
+ * Limitation: Assuming `logset.rottype == 'sdc-hourly'`.
+ *
+ * @param start {Date}
+ * @param end {Date} Optional. Default (and at most) `now`.
+ * @param now {Number} The current time in milliseconds.
+ * @param follow {Boolean} Optional. If true, the current log is not
+ *      included: it is searched by following it.
+ */
+function hoursFromTimeRange(start, end, now, follow) {
+    var oneHour = 60 * 60 * 1000;
+    var hours = [];
+    var topOfHour = now - (now % oneHour);
+    var endTime = Math.min(end ? end.valueOf() : now, now);
+    for (var h = start - (start % oneHour); h < endTime; h += oneHour) {
+        if (h < topOfHour) {
+            // Offset *forward* one hour because logs starting at,
+            // e.g., 2015-02-13T20:15:03 are in this log file:
+            // "${logset.name}_*_2015-02-13T21:*.log"
+            hours.push(new Date(h + oneHour).toISOString().slice(0, 14));
+        } else if (!follow) {
+            // The current hour is in the current log. With `-f`, that is
+            // searched by following it.
+            hours.push('curr');
+        }
+    }
+    return hours;
+}
+
+
+/*
+ * The most req_ids that can be searched for at once: they are all put in
+ * one `egrep` alternation, which must fit in the search script.
+ */
+var MAX_REQ_IDS = 500;
+
+/**
+ * Find the req_ids of requests for the given VMs or owners: records with
+ * a "req_id" and the VM or owner UUID in the given log instances (from
+ * the cloudapi and docker logsets) for the given hours.
+ *
+ * @param opts {Object}
+ *      - `zonename`, `hours`, `logInsts`, `startTimeCut`, `endTimeCut`: as
+ *        for searching.
+ *      - `terms` {Array} of `{field, uuid}` where `field` is "vm" or
+ *        "owner".
+ * @param cb {Function} `function (err, reqIds)`
+ */
+function findReqIds(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.hours, 'opts.hours');
+    assert.arrayOfObject(opts.terms, 'opts.terms');
+    assert.func(cb, 'cb');
+
+    var uuids = opts.terms.map(function (term) { return term.uuid; });
+    var filters = [
+        ['req_id', 'exists'],
+        [fmt('(%s)', uuids.join('|')), 'raw']
+    ];
+    var reqIdSet = {};
+    vasync.forEachPipeline({
+        inputs: opts.hours,
+        func: function searchOneHour(hour, nextHour) {
+            PROGRESS('Searching hour "%s" for req_ids', hour);
+            var hits = new BunyanSortedGrep({
+                zonename: opts.zonename,
+                hour: hour,
+                logInsts: opts.logInsts,
+                filters: filters,
+                startTimeCut: opts.startTimeCut,
+                endTimeCut: opts.endTimeCut
+            });
+            hits.on('data', function (hit) {
+                if (typeof (hit.rec.req_id) === 'string') {
+                    reqIdSet[hit.rec.req_id] = true;
+                }
+            });
+            hits.on('end', function () {
+                nextHour();
+            });
+        }
+    }, function (err) {
+        cb(err, err ? undefined : Object.keys(reqIdSet));
+    });
+}
+
+
 // ---- renderers
+/*
+ * Renderers are transform streams from hits (see `hitsFromGrepOutput`) to
+ * output text.
+ */
+
+/*
+ * Default table output fields. Other fields are looked up in the bunyan
+ * record, e.g. "pid" or "evt.args.uuid".
+ */
+var TABLE_FIELDS = ['time', 'logset', 'hostname', 'req_id', 'event', 'ph',
+    'duration'];
+
+// The number of slowest requests listed by `--stats`.
+var STATS_NUM_SLOWEST = 10;
 
-function TransObj2JsonStream() {
+/**
+ * JSON stream output: one bunyan record per line.
+ */
+function TransHit2JsonStream() {
     stream.Transform.call(this, {
         /* BEGIN JSSTYLED */
         /*
@@ -743,13 +1177,379 @@ function TransObj2JsonStream() {
         objectMode: true
     });
 }
-util.inherits(TransObj2JsonStream, stream.Transform);
+util.inherits(TransHit2JsonStream, stream.Transform);
 
-TransObj2JsonStream.prototype._transform = function (chunk, enc, cb) {
-    this.push(JSON.stringify(chunk) + '\n');
+TransHit2JsonStream.prototype._transform = function (hit, enc, cb) {
+    this.push(hit.line + '\n');
     cb();
 };
 
+/**
+ * JSON output: an array of the bunyan records.
+ */
+function TransHit2JsonArray() {
+    stream.Transform.call(this, {
+        objectMode: true,
+        encoding: 'utf8'
+    });
+}
+util.inherits(TransHit2JsonArray, stream.Transform);
+
+TransHit2JsonArray.prototype._transform = function (hit, enc, cb) {
+    this.push((this._first ? ',\n' : '[\n') + hit.line);
+    this._first = true;
+    cb();
+};
+
+TransHit2JsonArray.prototype._flush = function (cb) {
+    this.push(this._first ? '\n]\n' : '[]\n');
+    cb();
+};
+
+/**
+ * Pair begin and end events to get durations.
+ *
+ * The duration of an end event ("ph" of "e" or "E") is the time since the
+ * begin event ("b" or "B") from the same service (the bunyan "name") with
+ * the same req_id and event name, if that was seen. Async events ("b" and
+ * "e") are also paired on their "id", as in the trace event format. Nested
+ * begin events with the same key are paired with the innermost first.
+ * Begin and end events without a req_id are not paired. For a complete event
+ * ("ph" of "X") the duration is the event's own "dur".
+ *
+ * The returned event names are prefixed with the service name, e.g.
+ * "vmapi.createvm", as for `TransBunyan2TraceEvent`.
+ */
+function EventPairer() {
+    this.beginTimes = {};
+}
+
+/**
+ * Add the given hit (in time order). If it completes an event, this returns
+ * `{event, req_id, start, duration}` where `start` is a Date and `duration`
+ * is in milliseconds.
+ */
+EventPairer.prototype.add = function (hit) {
+    var rec = hit.rec;
+    var evt = rec.evt || {};
+    var name = rec.name + '.' + evt.name;
+    var start;
+
+    if (evt.ph === 'X') {
+        if (typeof (evt.dur) !== 'number') {
+            return undefined;
+        }
+        return {
+            event: name,
+            req_id: rec.req_id,
+            start: hit.time,
+            // Trace event durations are in microseconds.
+            duration: Math.round(evt.dur / 1000)
+        };
+    } else if (typeof (rec.req_id) !== 'string') {
+        return undefined;
+    }
+
+    var key = [name, rec.req_id];
+    if ((evt.ph === 'b' || evt.ph === 'e') && evt.id !== undefined) {
+        key.push(evt.id);
+    }
+    key = JSON.stringify(key);
+
+    switch (evt.ph) {
+    case 'b':
+    case 'B':
+        if (!this.beginTimes[key]) {
+            this.beginTimes[key] = [];
+        }
+        this.beginTimes[key].push(hit.time);
+        return undefined;
+    case 'e':
+    case 'E':
+        if (!this.beginTimes[key]) {
+            return undefined;
+        }
+        start = this.beginTimes[key].pop();
+        if (this.beginTimes[key].length === 0) {
+            delete this.beginTimes[key];
+        }
+        return {
+            event: name,
+            req_id: rec.req_id,
+            start: start,
+            duration: hit.time - start
+        };
+    default:
+        return undefined;
+    }
+};
+
+/**
+ * The number of begin events not (yet) paired with an end event.
+ */
+EventPairer.prototype.numUnpaired = function () {
+    var self = this;
+    return Object.keys(self.beginTimes).reduce(function (sum, key) {
+        return sum + self.beginTimes[key].length;
+    }, 0);
+};
+
+/**
+ * Table output, one row per event. The "duration" is set for end and
+ * complete events (see `EventPairer`).
+ *
+ * @param opts {Object}
+ *      - `columns` {Array} Field names for the table columns.
+ *      - `skipHeader` {Boolean} Optional. Do not print the header row.
+ *      - `follow` {Boolean} Optional. Print rows as they come (growing
+ *        column widths as needed) instead of as one table at the end.
+ */
+function TransHit2Table(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.columns, 'opts.columns');
+    assert.optionalBool(opts.skipHeader, 'opts.skipHeader');
+    assert.optionalBool(opts.follow, 'opts.follow');
+
+    this.columns = opts.columns;
+    this.skipHeader = opts.skipHeader;
+    this.follow = opts.follow;
+    this.rows = [];
+    this.pairer = new EventPairer();
+    this.widths = this.columns.map(function (col) { return col.length; });
+
+    stream.Transform.call(this, {
+        objectMode: true,
+        encoding: 'utf8'
+    });
+}
+util.inherits(TransHit2Table, stream.Transform);
+
+TransHit2Table.prototype._transform = function (hit, enc, cb) {
+    var rec = hit.rec;
+    var evt = rec.evt || {};
+
+    var pair = this.pairer.add(hit);
+
+    var row = common.objCopy(rec);
+    row.logset = hit.logInst.logset.name;
+    row.event = evt.name;
+    row.ph = evt.ph;
+    row.duration = (pair ? humanDurationFromMs(pair.duration) : undefined);
+
+    if (!this.follow) {
+        this.rows.push(row);
+    } else {
+        this._pushFollowRow(row);
+    }
+    cb();
+};
+
+TransHit2Table.prototype._pushFollowRow = function (row) {
+    // Cells as `tabula.format` would render them.
+    var cells = this.columns.map(function (col) {
+        var cell = row;
+        var bits = col.split('.');
+        for (var i = 0; i < bits.length && cell !== undefined &&
+                cell !== null; i++) {
+            cell = cell[bits[i]];
+        }
+        if (cell === undefined || cell === null) {
+            return '-';
+        } else if (typeof (cell) === 'string' ||
+                typeof (cell) === 'number') {
+            return String(cell);
+        } else {
+            return JSON.stringify(cell);
+        }
+    });
+
+    if (!this.skipHeader && !this._headerDone) {
+        this._headerDone = true;
+        this._pushCells(this.columns.map(
+            function (col) { return col.toUpperCase(); }), cells);
+    }
+    this._pushCells(cells);
+};
+
+/*
+ * Push a row of cells, padded to the current column widths. The widths grow
+ * (but never shrink) to fit `cells` and any given `moreCells`.
+ */
+TransHit2Table.prototype._pushCells = function (cells, moreCells) {
+    var i;
+    for (i = 0; i < cells.length; i++) {
+        this.widths[i] = Math.max(this.widths[i], cells[i].length,
+            (moreCells ? moreCells[i].length : 0));
+    }
+    var line = '';
+    for (i = 0; i < cells.length - 1; i++) {
+        line += cells[i] + new Array(this.widths[i] - cells[i].length + 3)
+            .join(' ');
+    }
+    this.push(line + cells[i] + '\n');
+};
+
+TransHit2Table.prototype._flush = function (cb) {
+    if (!this.follow) {
+        this.push(tabula.format(this.rows, {
+            columns: this.columns,
+            skipHeader: this.skipHeader,
+            dottedLookup: true
+        }));
+    }
+    cb();
+};
+
+/**
+ * Duration statistics output (for `--stats`): for each service and event
+ * name (e.g. "vmapi.createvm"), the count, min, p50, p90, p99 and max
+ * durations of paired events (see `EventPairer`), then the slowest requests.
+ *
+ * A request's duration is from its first begin event to its last end event.
+ *
+ * @param opts {Object}
+ *      - `json` {Boolean} Optional. Output JSON instead of tables.
+ *      - `skipHeader` {Boolean} Optional. Do not print table header rows.
+ */
+function TransHit2Stats(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.json, 'opts.json');
+    assert.optionalBool(opts.skipHeader, 'opts.skipHeader');
+
+    this.json = opts.json;
+    this.skipHeader = opts.skipHeader;
+    this.pairer = new EventPairer();
+    this.durationsFromEvent = {};
+    this.reqFromId = {};
+
+    stream.Transform.call(this, {
+        objectMode: true,
+        encoding: 'utf8'
+    });
+}
+util.inherits(TransHit2Stats, stream.Transform);
+
+TransHit2Stats.prototype._transform = function (hit, enc, cb) {
+    var pair = this.pairer.add(hit);
+    if (!pair) {
+        return cb();
+    }
+
+    if (!this.durationsFromEvent[pair.event]) {
+        this.durationsFromEvent[pair.event] = [];
+    }
+    this.durationsFromEvent[pair.event].push(pair.duration);
+
+    if (pair.req_id) {
+        var end = new Date(pair.start.valueOf() + pair.duration);
+        var req = this.reqFromId[pair.req_id];
+        if (!req) {
+            req = this.reqFromId[pair.req_id] = {
+                req_id: pair.req_id,
+                start: pair.start,
+                end: end,
+                events: 0,
+                slowest_event: pair.event,
+                slowest_event_duration: pair.duration
+            };
+        }
+        req.events++;
+        if (pair.start < req.start) {
+            req.start = pair.start;
+        }
+        if (end > req.end) {
+            req.end = end;
+        }
+        if (pair.duration > req.slowest_event_duration) {
+            req.slowest_event = pair.event;
+            req.slowest_event_duration = pair.duration;
+        }
+    }
+    cb();
+};
+
+TransHit2Stats.prototype._flush = function (cb) {
+    var self = this;
+
+    // Nearest-rank percentile of sorted durations.
+    function percentile(durations, pct) {
+        return durations[Math.max(0,
+            Math.ceil(pct / 100 * durations.length) - 1)];
+    }
+
+    var events = Object.keys(self.durationsFromEvent).sort().map(
+        function (name) {
+            var durations = self.durationsFromEvent[name].sort(
+                function (a, b) { return a - b; });
+            return {
+                event: name,
+                count: durations.length,
+                min: durations[0],
+                p50: percentile(durations, 50),
+                p90: percentile(durations, 90),
+                p99: percentile(durations, 99),
+                max: durations[durations.length - 1]
+            };
+        });
+
+    var slowest = Object.keys(self.reqFromId).map(function (reqId) {
+        var req = self.reqFromId[reqId];
+        return {
+            req_id: req.req_id,
+            start: req.start.toISOString(),
+            duration: req.end - req.start,
+            events: req.events,
+            slowest_event: req.slowest_event
+        };
+    }).sort(function (a, b) {
+        return b.duration - a.duration;
+    }).slice(0, STATS_NUM_SLOWEST);
+
+    var numUnpaired = self.pairer.numUnpaired();
+
+    if (self.json) {
+        self.push(JSON.stringify({
+            events: events,
+            slowest: slowest,
+            unpaired: numUnpaired
+        }, null, 4) + '\n');
+        return cb();
+    }
+
+    var durFields = ['min', 'p50', 'p90', 'p99', 'max'];
+    events.forEach(function (e) {
+        durFields.forEach(function (field) {
+            e[field] = humanDurationFromMs(e[field]);
+        });
+    });
+    slowest.forEach(function (req) {
+        req.duration = humanDurationFromMs(req.duration);
+    });
+    if (events.length === 0) {
+        console.error('No paired begin and end events were found.');
+    } else {
+        self.push(tabula.format(events, {
+            columns: ['event', 'count'].concat(durFields),
+            skipHeader: self.skipHeader
+        }));
+        self.push('\n');
+        self.push(tabula.format(slowest, {
+            columns: ['req_id', 'start', 'duration', 'events',
+                'slowest_event'],
+            skipHeader: self.skipHeader
+        }));
+    }
+    if (numUnpaired > 0) {
+        console.error('Note: %d begin event%s had no end event (still ' +
+            'running, or ended outside the time range)', numUnpaired,
+            (numUnpaired === 1 ? '' : 's'));
+    }
+    cb();
+};
+
+/**
+ * Event trace output, as required by trace-viewer.
+ */
 function TransBunyan2TraceEvent() {
     stream.Transform.call(this, {
         objectMode: true,
@@ -760,7 +1560,8 @@ function TransBunyan2TraceEvent() {
 }
 util.inherits(TransBunyan2TraceEvent, stream.Transform);
 
-TransBunyan2TraceEvent.prototype._transform = function (rec, enc, cb) {
+TransBunyan2TraceEvent.prototype._transform = function (hit, enc, cb) {
+    var rec = hit.rec;
     var ev = rec.evt;
     ev.pid = ev.tid = rec.pid;
     ev.id = rec.req_id || fmt('(no req_id %s)', genUuid());
@@ -812,19 +1613,22 @@ TransBunyan2TraceEvent.prototype._flush = function (cb) {
 
 
 
-// ---- custom dashdash option type for `-t TIME`
+// ---- custom dashdash option types for `-t TIME-RANGE` and `--until TIME`
 
-/**
- * A 'timeAgo' option type that allows either a duration (an amount of time
- * ago):
+/*
+ * Parse a time: either a duration (an amount of time ago):
  *      1h      one hour ago
  *      2d      two days ago
  *      90m     ninety minutes ago
  *      120s    120 seconds ago
- * or a date (another parsable by `new Date()`).
+ * or a date: an ISO 8601 date or date and time (UTC), e.g. "2015-02-13" or
+ * "2015-02-13T20:15" or "2015-02-13T20:15:03.123Z", or epoch seconds.
+ *
+ * Returns a Date, or undefined if `arg` is not a valid time.
  */
 var durationRe = /^([1-9]\d*)([smhd])$/;
-function parseTimeAgo(option, optstr, arg) {
+var dateRe = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?)?$/i;
+function parseTime(arg) {
     var t;
     var match = durationRe.exec(arg);
     if (match) {
@@ -848,24 +1652,80 @@ function parseTimeAgo(option, optstr, arg) {
                 throw new Error(fmt('unknown duration scope: "%s"', scope));
         }
         t = new Date(Date.now() - delta);
-    } else {
-        try {
-            t = dashdash.parseDate(arg);
-        } catch (ex) {
-            throw new Error(fmt('arg for "%s" is not a valid duration ' +
-                '(e.g. 1h) or date: "%s"', optstr, arg));
-        }
+    } else if (/^\d+$/.test(arg)) {
+        t = new Date(Number(arg) * 1000);
+    } else if (dateRe.test(arg)) {
+        // A date and time without a "Z" would otherwise be local time.
+        t = new Date(arg.indexOf('T') !== -1 && !/z$/i.test(arg)
+            ? arg + 'Z' : arg);
+    }
+    if (t && isNaN(t.valueOf())) {
+        t = undefined;
     }
     return t;
 }
 
-// Here we add the new 'duration' option type to dashdash's set.
+/**
+ * A 'timeAgo' option type that allows either a duration (an amount of time
+ * ago) or a date. See `parseTime`.
+ */
+function parseTimeAgo(option, optstr, arg) {
+    var t = parseTime(arg);
+    if (!t) {
+        throw new Error(fmt('arg for "%s" is not a valid duration ' +
+            '(e.g. 1h) or date: "%s"', optstr, arg));
+    }
+    return t;
+}
+
+/**
+ * A 'timeRange' option type: a time (see `parseTime`) for the start of the
+ * range, or "START-END" or "START/END" for both ends, e.g.:
+ *      3h-2h                                   from 3 to 2 hours ago
+ *      2015-02-13T20:00/2015-02-13T21:30       an absolute range
+ *      2015-02-13T20:00-2015-02-13T21:30       the same
+ *      2015-02-13T20:00-30m                    up to 30 minutes ago
+ *
+ * Returns `{start: <Date>, end: <Date or undefined>}`.
+ */
+function parseTimeRange(option, optstr, arg) {
+    var start = parseTime(arg);
+    if (start) {
+        return {start: start};
+    }
+
+    // Dates include "-", so try each separator position for two valid times.
+    var seps = [arg.indexOf('/')];
+    for (var i = arg.indexOf('-'); i !== -1; i = arg.indexOf('-', i + 1)) {
+        seps.push(i);
+    }
+    for (i = 0; i < seps.length; i++) {
+        if (seps[i] === -1) {
+            continue;
+        }
+        start = parseTime(arg.slice(0, seps[i]));
+        var end = parseTime(arg.slice(seps[i] + 1));
+        if (start && end) {
+            return {start: start, end: end};
+        }
+    }
+    throw new Error(fmt('arg for "%s" is not a valid time (e.g. 1h, a date) ' +
+        'or time range (e.g. 3h-2h): "%s"', optstr, arg));
+}
+
+// Here we add the new option types to dashdash's set.
 dashdash.addOptionType({
     name: 'timeAgo',
     takesArg: true,
     helpArg: 'TIME',
     parseArg: parseTimeAgo
 });
+dashdash.addOptionType({
+    name: 'timeRange',
+    takesArg: true,
+    helpArg: 'TIME-RANGE',
+    parseArg: parseTimeRange
+});
 
 
 
@@ -902,10 +1762,26 @@ var OPTION_SPECS = [
     },
     {
         names: ['time', 't'],
+        type: 'timeRange',
+        helpArg: 'TIME',
+        help: 'Start time, or time range "START-END". Specify a date ' +
+            '(ISO 8601, UTC) or a time duration "ago", e.g. 2h for two ' +
+            'hours ago (s=second, m=minute, h=hour, d=day). E.g. "3h-2h", ' +
+            '"2015-02-13T20:00-2015-02-13T21:30". Default is one hour ' +
+            'before the end time, or now with "-f".'
+    },
+    {
+        names: ['until'],
         type: 'timeAgo',
-        help: 'Start time. Specify a date or a time duration "ago", e.g. 2h ' +
-            'for two hours ago (s=second, m=minute, h=hour, d=day). Default ' +
-            'is one hour ago.'
+        help: 'End time (not included), as for a "-t" start time. Default ' +
+            'is now.'
+    },
+    {
+        names: ['follow', 'f'],
+        type: 'bool',
+        help: 'Follow: after searching, keep printing new events as they ' +
+            'are logged, until interrupted. New events are found by ' +
+            'polling each log every ' + (FOLLOW_INTERVAL / 1000) + ' seconds.'
     },
     {
         names: ['logset', 's'],
@@ -915,6 +1791,24 @@ var OPTION_SPECS = [
             'Known logsets: ' +
             LOGSETS.map(function (ls) { return ls.name; }).sort().join(', ')
     },
+    {
+        group: 'Output options (the default is a table)'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output: an array of the event records.'
+    },
+    {
+        names: ['jsonstream', 'J'],
+        type: 'bool',
+        help: 'JSON stream output: one event record per line.'
+    },
+    {
+        names: ['bunyan', 'b'],
+        type: 'bool',
+        help: 'Bunyan output: event records formatted by the `bunyan` tool.'
+    },
     {
         names: ['event-trace', 'E'],
         type: 'bool',
@@ -922,6 +1816,29 @@ var OPTION_SPECS = [
             '<https://github.com/google/trace-viewer>. Note that this offsets' +
             'all times (the "ts" field) to zero for the first event to ' +
             'simplify finding the start in the viewer.'
+    },
+    {
+        names: ['stats'],
+        type: 'bool',
+        help: 'Print duration statistics instead of events: begin and end ' +
+            'events are paired by service, req_id and event name to give, ' +
+            'for each service and event name, the count and min, p50, ' +
+            'p90, p99 and max durations. Then the ' + STATS_NUM_SLOWEST +
+            ' slowest requests are listed. Use "-j" for JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print the table header row.'
+    },
+    {
+        names: ['o'],
+        type: 'string',
+        helpArg: 'field1,...',
+        help: 'Fields (columns) to output in the table. Default is "' +
+            TABLE_FIELDS.join(',') + '". Other fields are looked up in the ' +
+            'event record, e.g. "pid" or "evt.args.uuid". A "*" means the ' +
+            'default fields, e.g. "-o *,pid".'
     }
 ];
 
@@ -934,11 +1851,20 @@ function parseOpts(options, args) {
 
     function usage(msg) {
         var us = [
-            'Usage:\n  sdc-events [<options>] [<req-id> ...]'
+            'Usage:\n  sdc-events [<options>] [<req-id> | vm=<uuid> | ' +
+                'owner=<uuid> ...]'
         ].join('\n') + '\n\nOptions:\n' + parser.help({
             indent: 2,
             headingIndent: 0
-        });
+        }) + [
+            '',
+            'Events for the given req_ids are listed (all events if none are',
+            'given). With "vm=<uuid>" or "owner=<uuid>", the req_ids of',
+            'requests for that VM or owner are first found in the cloudapi',
+            'and docker logs, then all events for those req_ids are listed.',
+            'Use "-v" to see the req_ids found. These cannot be used with',
+            '"-f". At most ' + MAX_REQ_IDS + ' req_ids can be searched for.'
+        ].join('\n');
 
         if (msg) {
             console.error('sdc-events error: ' + msg);
@@ -981,13 +1907,50 @@ function main() {
     initSapi();
     initCnapi();
 
+    /*
+     * Args are req_ids, or "vm=UUID" and "owner=UUID" terms for which to
+     * find req_ids (see `findReqIds`).
+     */
+    var reqIds = [];
+    var reqIdTerms = [];
+    for (var i = 0; i < OPTIONS._args.length; i++) {
+        var arg = OPTIONS._args[i];
+        var eq = arg.indexOf('=');
+        if (eq === -1) {
+            reqIds.push(arg);
+            continue;
+        }
+        var field = arg.slice(0, eq);
+        var value = arg.slice(eq + 1);
+        if (field !== 'vm' && field !== 'owner') {
+            console.error('sdc-events error: unknown search term field ' +
+                '"%s" (expected "vm" or "owner"): "%s"', field, arg);
+            process.exit(1);
+        } else if (!UUID_RE.test(value)) {
+            console.error('sdc-events error: "%s" value is not a UUID: "%s"',
+                field, arg);
+            process.exit(1);
+        }
+        reqIdTerms.push({field: field, uuid: value});
+    }
+    if (reqIdTerms.length > 0 && OPTIONS.follow) {
+        console.error('sdc-events error: cannot use "vm=" or "owner=" ' +
+            'with "-f"');
+        process.exit(1);
+    }
+
     var filters = [
         ['evt', 'exists']
     ];
-    if (OPTIONS._args.length > 0) {
-        filters.push(['req_id', 'in', OPTIONS._args]);
+    if (reqIds.length > MAX_REQ_IDS) {
+        console.error('sdc-events error: too many req_ids (%d), the ' +
+            'maximum is %d', reqIds.length, MAX_REQ_IDS);
+        process.exit(1);
+    } else if (reqIds.length > 0) {
+        filters.push(['req_id', 'in', reqIds]);
     }
     if (OPTIONS.x) {
+        reqIdTerms = [];
         // Hack internal option to override regular filtering. This can be
         // dangerous because it can result in large numbers of hits across
         // the DC.
@@ -995,15 +1958,77 @@ function main() {
     }
     assert.ok(filters.length > 0, 'no search filters');
 
+    var outputOpts = ['json', 'jsonstream', 'bunyan', 'event_trace']
+        .filter(function (name) { return OPTIONS[name]; });
+    if (outputOpts.length > 1) {
+        console.error('sdc-events error: can only use one of "-j", "-J", ' +
+            '"-b" and "-E"');
+        process.exit(1);
+    } else if (OPTIONS.follow && OPTIONS.event_trace) {
+        console.error('sdc-events error: cannot use "-f" with "-E"');
+        process.exit(1);
+    } else if (OPTIONS.stats && (OPTIONS.follow || OPTIONS.jsonstream ||
+            OPTIONS.bunyan || OPTIONS.event_trace)) {
+        console.error('sdc-events error: cannot use "--stats" with "-f", ' +
+            '"-J", "-b" or "-E"');
+        process.exit(1);
+    } else if (OPTIONS.follow && OPTIONS.json) {
+        console.error('sdc-events error: cannot use "-f" with "-j" ' +
+            '(use "-J")');
+        process.exit(1);
+    }
+
+    var columns = TABLE_FIELDS;
+    if (OPTIONS.o) {
+        columns = [];
+        OPTIONS.o.split(/,/g).forEach(function (field) {
+            if (field === '*') {
+                columns = columns.concat(TABLE_FIELDS);
+            } else if (field) {
+                columns.push(field);
+            }
+        });
+    }
+
+    /*
+     * The time range to search: from `start` up to (not including) `end`.
+     * No `end` means up to now.
+     */
     var oneHour = 60 * 60 * 1000;
     var now = Date.now();
-    var start = OPTIONS.time || new Date(now - oneHour);
+    var start = OPTIONS.time && OPTIONS.time.start;
+    var end = OPTIONS.time && OPTIONS.time.end;
+    if (OPTIONS.until) {
+        if (end) {
+            console.error('sdc-events error: cannot use "--until" with a ' +
+                '"-t" time range');
+            process.exit(1);
+        }
+        end = OPTIONS.until;
+    }
+    if (end && OPTIONS.follow) {
+        console.error('sdc-events error: cannot use "-f" with an end time');
+        process.exit(1);
+    }
+    if (!start) {
+        start = new Date(OPTIONS.follow ? now : (end || now) - oneHour);
+    }
+    if (!end && !OPTIONS.follow && start > now) {
+        console.error('sdc-events error: start time, %s, is in the future',
+            start.toISOString());
+        process.exit(1);
+    } else if (end && start >= end) {
+        console.error('sdc-events error: start time, %s, is not before ' +
+            'the end time, %s', start.toISOString(), end.toISOString());
+        process.exit(1);
+    }
     // Ensure we don't try to search a huge time range.
     var MAX_RANGE = 7 * 24 * oneHour; // one week
-    var range = now - start;
+    var range = (end || now) - start;
     if (range > MAX_RANGE) {
-        throw new Error(fmt('time range, %s, is too large (>%s)',
-            humanDurationFromMs(range), humanDurationFromMs(MAX_RANGE)));
+        console.error('sdc-events error: time range, %s, is too large (>%s)',
+            humanDurationFromMs(range), humanDurationFromMs(MAX_RANGE));
+        process.exit(1);
     }
 
     vasync.pipeline({arg: {}, funcs: [
@@ -1099,41 +2124,15 @@ function main() {
         },
 
         function getLogInsts(ctx, next) {
-            var i, j;
-            ctx.logInsts = [];
             ctx.haveNonHeadnodeInsts = false;
-            for (i = 0; i < ctx.logsets.length; i++) {
-                var logset = ctx.logsets[i];
-                if (logset.global) {
-                    for (j = 0; j < ctx.nodes.length; j++) {
-                        if (!ctx.nodes[j].headnode) {
-                            ctx.haveNonHeadnodeInsts = true;
-                        }
-                        ctx.logInsts.push({
-                            logset: logset,
-                            node: ctx.nodes[j],
-                            zone: 'global'
-                        });
-                    }
-                } else {
-                    var sdcInsts = ctx.sdcInstsFromSvc[
-                        logset.sapiSvcName] || [];
-                    for (j = 0; j < sdcInsts.length; j++) {
-                        var nodeUuid =
-                            ctx.vmFromUuid[sdcInsts[j].uuid].server_uuid;
-                        var node = ctx.nodeFromUuid[nodeUuid];
-                        if (node) {
-                            if (!node.headnode) {
-                                ctx.haveNonHeadnodeInsts = true;
-                            }
-                            ctx.logInsts.push({
-                                logset: logset,
-                                node: node,
-                                zone: sdcInsts[j].uuid
-                            });
-                        }
-                    }
-                }
+            ctx.logInsts = logInstsFromLogsets(ctx, ctx.logsets);
+            if (reqIdTerms.length > 0) {
+                // req_ids for "vm=" and "owner=" are found in these logs.
+                ctx.reqIdLogInsts = logInstsFromLogsets(ctx,
+                    LOGSETS.filter(function (logset) {
+                        return (logset.name === 'cloudapi' ||
+                            logset.name === 'docker');
+                    }));
             }
             next();
         },
@@ -1154,34 +2153,92 @@ function main() {
         },
 
         function chooseRenderer(ctx, next) {
-            if (OPTIONS.event_trace) {
+            ctx.output = process.stdout;
+            if (OPTIONS.stats) {
+                ctx.renderer = new TransHit2Stats({
+                    json: OPTIONS.json,
+                    skipHeader: OPTIONS.H
+                });
+            } else if (OPTIONS.event_trace) {
                 ctx.renderer = new TransBunyan2TraceEvent();
+            } else if (OPTIONS.json) {
+                ctx.renderer = new TransHit2JsonArray();
+            } else if (OPTIONS.jsonstream) {
+                ctx.renderer = new TransHit2JsonStream();
+            } else if (OPTIONS.bunyan) {
+                // Format with the `bunyan` CLI, run with this node.
+                ctx.renderer = new TransHit2JsonStream();
+                var bunyanCli = spawn(process.execPath,
+                    [path.resolve(__dirname, '..', 'node_modules', 'bunyan',
+                        'bin', 'bunyan')],
+                    {stdio: ['pipe', 'inherit', 'inherit']});
+                ctx.output = bunyanCli.stdin;
             } else {
-                ctx.renderer = new TransObj2JsonStream();
+                ctx.renderer = new TransHit2Table({
+                    columns: columns,
+                    skipHeader: OPTIONS.H,
+                    follow: OPTIONS.follow
+                });
             }
             next();
         },
 
-        function searchByHour(ctx, next) {
-            // Limitation: Assuming `logset.rottype == 'sdc-hourly'`.
-            var hours = [];
-            var topOfHour = now - (now % oneHour);
-            // Offset *forward* one hour because logs starting at, e.g.,
-            // 2015-02-13T20:15:03 are in this log file:
-            // "${logset.name}_*_2015-02-13T21:*.log"
-            var s = start.valueOf();
-            while (s <= topOfHour) {
-                hours.push(new Date(s + oneHour).toISOString().slice(0, 14));
-                s += oneHour;
+        function getHours(ctx, next) {
+            ctx.hours = hoursFromTimeRange(start, end, now, OPTIONS.follow);
+            LOG.info({now: new Date(now), start: start, end: end,
+                hours: ctx.hours}, 'hours');
+            next();
+        },
+
+        function findReqIdsForTerms(ctx, next) {
+            if (reqIdTerms.length === 0) {
+                return next();
             }
-            hours.push('curr');
-            LOG.info({now: new Date(now), start: start, hours: hours},
-                'hours');
+            PROGRESS('Searching for req_ids for %s', reqIdTerms.map(
+                function (t) { return t.field + '=' + t.uuid; }).join(', '));
+            findReqIds({
+                zonename: ctx.zonename,
+                hours: ctx.hours,
+                logInsts: ctx.reqIdLogInsts,
+                startTimeCut: start,
+                endTimeCut: end,
+                terms: reqIdTerms
+            }, function (err, foundReqIds) {
+                if (err) {
+                    return next(err);
+                }
+                PROGRESS('Found %d req_ids%s', foundReqIds.length,
+                    foundReqIds.length ? ': ' + foundReqIds.join(', ') : '');
+                var numReqIds = reqIds.length + foundReqIds.length;
+                if (foundReqIds.length === 0) {
+                    console.error('No req_ids were found for %s.',
+                        reqIdTerms.map(function (t) {
+                            return t.field + '=' + t.uuid;
+                        }).join(', '));
+                    if (reqIds.length === 0) {
+                        // Nothing to search for.
+                        ctx.hours = [];
+                    }
+                } else if (numReqIds > MAX_REQ_IDS) {
+                    return next(new Error(fmt('too many req_ids (%d) to ' +
+                        'search for, the maximum is %d: use a shorter ' +
+                        'time range', numReqIds, MAX_REQ_IDS)));
+                } else {
+                    filters = [
+                        ['evt', 'exists'],
+                        ['req_id', 'in', reqIds.concat(foundReqIds)]
+                    ];
+                }
+                next();
+            });
+        },
 
+        function searchByHour(ctx, next) {
+            var hours = ctx.hours;
             PROGRESS('Searching %d logsets across %d nodes (%d insts), ' +
                 'in %d one hour segments', ctx.logsets.length, ctx.nodes.length,
                 ctx.logInsts.length, hours.length);
-            ctx.renderer.pipe(process.stdout);
+            ctx.renderer.pipe(ctx.output);
 
             vasync.forEachPipeline({
                 inputs: hours,
@@ -1192,7 +2249,8 @@ function main() {
                         hour: hour,
                         logInsts: ctx.logInsts,
                         filters: filters,
-                        startTimeCut: (hour === hours[0] ? start : undefined)
+                        startTimeCut: start,
+                        endTimeCut: end
                     });
                     hits.pipe(ctx.renderer, {end: false});
                     hits.on('end', function () {
@@ -1202,6 +2260,22 @@ function main() {
             }, next);
         },
 
+        function follow(ctx, next) {
+            if (!OPTIONS.follow) {
+                return next();
+            }
+            PROGRESS('Following %d logsets across %d nodes (%d insts)',
+                ctx.logsets.length, ctx.nodes.length, ctx.logInsts.length);
+            var hits = new BunyanFollowGrep({
+                zonename: ctx.zonename,
+                logInsts: ctx.logInsts,
+                filters: filters,
+                startTimeCut: start
+            });
+            // This does not end: stop with ^C.
+            hits.pipe(ctx.renderer, {end: false});
+        },
+
         function closeThings(ctx, next) {
             if (URCLIENT) {
                 URCLIENT.close();
@@ -1220,11 +2294,24 @@ function main() {
 }
 
 
-process.stdout.on('error', function (err) {
-    if (err.code === 'EPIPE') {
-        process.exit(0);
-    }
-});
+// ---- exports
+
+module.exports = {
+    // Exported for testing.
+    EventPairer: EventPairer,
+    TransHit2Stats: TransHit2Stats,
+    hoursFromTimeRange: hoursFromTimeRange,
+    parseTime: parseTime,
+    parseTimeRange: parseTimeRange
+};
 
 
-main();
+if (require.main === module) {
+    process.stdout.on('error', function (err) {
+        if (err.code === 'EPIPE') {
+            process.exit(0);
+        }
+    });
+
+    main();
+}
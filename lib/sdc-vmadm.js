@@ -11,15 +11,15 @@
 
 /*
  * Work with SDC VMs
- *
- * TODO
- * - list should accept wildcards and operators for dates (alias=fss*, date>x)
  */
 
 var VERSION = '1.0.1';
 
 var p = console.log;
+var child_process = require('child_process');
 var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var util = require('util'),
     format = util.format;
 
@@ -31,11 +31,20 @@ var cmdln = require('cmdln'),
 var genUuid = require('node-uuid');
 var read = require('read');
 var sdcClients = require('sdc-clients'),
+    CNAPI = sdcClients.CNAPI,
+    IMGAPI = sdcClients.IMGAPI,
+    NAPI = sdcClients.NAPI,
+    PAPI = sdcClients.PAPI,
+    UFDS = sdcClients.UFDS,
     VMAPI = sdcClients.VMAPI;
 var sprintf = require('extsprintf').sprintf;
 var filters = require('ldapjs').filters;
+var urclient = require('urclient');
 
 var common = require('../lib/common'),
+    getAmqpConfig = common.getAmqpConfig,
+    getLocalIp = common.getLocalIp,
+    humanDurationFromMs = common.humanDurationFromMs,
     objMerge = common.objMerge,
     objCopy = common.objCopy;
 var errors = require('../lib/errors');
@@ -47,6 +56,101 @@ var errors = require('../lib/errors');
 var NAME = 'sdc-vmadm';
 var config = require('../etc/config.json');
 
+// The max number of VMs to request from VMAPI per ListVms call.
+var VMAPI_PAGE_SIZE = 1000;
+
+// How often to poll for the state of a workflow job with `--wait`.
+var JOB_POLL_INTERVAL = 2000;
+
+/*
+ * How many job polls in a row can fail (e.g. while VMAPI restarts) before
+ * giving up: they are retried with exponential backoff. And how long to
+ * wait for a job at all.
+ */
+var JOB_POLL_RETRIES = 5;
+var JOB_WAIT_TIMEOUT = 60 * 60 * 1000;
+
+// The default number of VMs to act on at once for bulk subcommands.
+var BULK_CONCURRENCY = 5;
+
+/*
+ * The VM actions that can be run on multiple VMs at once (see
+ * `CLI.prototype.runVmAction`). `destructive` actions require confirmation
+ * when acting on more than one VM. `guarded` actions always require
+ * confirmation and refuse protected VMs (see `protectionError`).
+ */
+var VM_ACTIONS = {
+    stop: {title: 'Stop', method: 'stopVm', destructive: true},
+    start: {title: 'Start', method: 'startVm'},
+    reboot: {title: 'Reboot', method: 'rebootVm', destructive: true},
+    snapshot: {title: 'Snapshot', method: 'snapshotVm'},
+    'delete': {title: 'Delete', method: 'deleteVm', destructive: true,
+        guarded: true}
+};
+
+// The image types (IMGAPI `type`) that can be used with each VM brand.
+var IMAGE_TYPES_FROM_BRAND = {
+    'joyent': ['zone-dataset'],
+    'joyent-minimal': ['zone-dataset'],
+    'sngl': ['zone-dataset'],
+    'lx': ['lx-dataset'],
+    'kvm': ['zvol']
+};
+
+// The version of the VM definition format of `export` and `import`.
+var EXPORT_FORMAT_VERSION = 1;
+
+// The option for subcommands that create a workflow job.
+var WAIT_OPTION = {
+    names: ['wait', 'w'],
+    type: 'bool',
+    help: 'Wait for the job to complete, showing progress. Exits non-zero ' +
+        'if the job fails or has not finished after an hour.'
+};
+
+// The option for subcommands that validate a VM payload before creating it.
+var NO_VALIDATE_OPTION = {
+    names: ['no-validate'],
+    type: 'bool',
+    help: 'Do not check the VM payload against UFDS, IMGAPI, PAPI and ' +
+        'NAPI before creating the VM.'
+};
+
+// The VM fields valid for output and sorting in `list` and `watch`.
+var VM_FIELDS = [
+    'uuid', 'owner_uuid', 'brand', 'server_uuid', 'billing_id', 'alias',
+    'ram', 'max_physical_memory', 'max_swap', 'quota', 'cpu_cap',
+    'cpu_shares', 'max_lwps', 'create_timestamp', 'destroyed',
+    'last_modified', 'state', 'zpool', 'zfs_io_priority',
+    'firewall_enabled', 'limit_priv', 'image_uuid', 'autoboot',
+    'nics', 'tags', 'customer_metadata', 'internal_metadata', 'disks',
+    'snapshots', 'resolvers'
+];
+
+// Options for subcommands that can act on multiple VMs.
+var BULK_OPTIONS = [
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    {
+        names: ['concurrency', 'c'],
+        type: 'positiveInteger',
+        'default': BULK_CONCURRENCY,
+        help: 'Number of VMs to act on at once. Default is ' +
+            BULK_CONCURRENCY + '.',
+        helpArg: 'N'
+    }
+];
+
+// The option for subcommands that refuse to act on protected VMs.
+var FORCE_OPTION = {
+    names: ['force', 'f'],
+    type: 'bool',
+    help: 'Allow acting on core VMs and VMs tagged "protected=true".'
+};
+
 var log = bunyan.createLogger({
     name: NAME,
     serializers: bunyan.stdSerializers,
@@ -57,16 +161,106 @@ var log = bunyan.createLogger({
 
 //---- internal support stuff
 
+/**
+ * Get the value at the given dotted path (e.g. "nics.0.ip") in an object.
+ */
+function getPath(obj, dotted) {
+    var parts = dotted.split('.');
+    var value = obj;
+    for (var i = 0; i < parts.length; i++) {
+        if (value === null || typeof (value) !== 'object') {
+            return undefined;
+        }
+        value = value[parts[i]];
+    }
+    return value;
+}
+
+
+/**
+ * Check that the given output or sort fields are valid. A dotted path
+ * (e.g. "tags.role") is valid if its first part is.
+ */
+function validateFields(fields, validFields, what) {
+    fields.forEach(function (f) {
+        if (f[0] === '-' && what === 'sort') {
+            f = f.slice(1);
+        }
+        if (validFields.indexOf(f.split('.')[0]) === -1) {
+            throw new TypeError(sprintf('invalid %s field: "%s"', what, f));
+        }
+    });
+}
+
+
+/**
+ * Sort the given items in-place on the given fields (dotted paths, with a
+ * leading "-" for descending order). Numeric values are compared as
+ * numbers.
+ */
+function sortItems(items, sort) {
+    function cmp(a, b) {
+        for (var i = 0; i < sort.length; i++) {
+            var field = sort[i];
+            var invert = false;
+            if (field[0] === '-') {
+                invert = true;
+                field = field.slice(1);
+            }
+            assert.ok(field.length, 'zero-length sort field: ' + sort);
+            var a_val = getPath(a, field);
+            var b_val = getPath(b, field);
+            var a_cmp = Number(a_val);
+            var b_cmp = Number(b_val);
+            if (isNaN(a_cmp) || isNaN(b_cmp)) {
+                a_cmp = a_val || '';
+                b_cmp = b_val || '';
+            }
+            if (a_cmp < b_cmp) {
+                return (invert ? 1 : -1);
+            } else if (a_cmp > b_cmp) {
+                return (invert ? -1 : 1);
+            }
+        }
+        return 0;
+    }
+    if (sort.length) {
+        items.sort(cmp);
+    }
+}
+
+
+/**
+ * The string for a field value in table-like output: objects are shown as
+ * JSON, and null or undefined as `empty`.
+ */
+function cellFromValue(value, empty) {
+    if (value === null || value === undefined) {
+        return empty;
+    } else if (typeof (value) === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+
 /**
  * Print a table of the given items.
  *
  * @params items {Array} of row objects.
  * @params options {Object}
- *      - `columns` {String} of comma-separated field names for columns
+ *      - `columns` {String} of comma-separated field names for columns.
+ *        These may be dotted paths into nested fields, e.g. "nics.0.ip".
  *      - `skipHeader` {Boolean} Default false.
  *      - `sort` {String} of comma-separate fields on which to alphabetically
  *        sort the rows. Optional.
  *      - `validFields` {String} valid fields for `columns` and `sort`
+ *      - `widths` {Object} Optional. Minimum column widths, keyed by column
+ *        name. This is updated in-place, so passing the same object for
+ *        successive calls (with `skipHeader` after the first) prints the
+ *        chunks of a streamed table with (mostly) aligned columns.
+ *      - `highlight` {Function} Optional. `function (item)` returning true
+ *        if the item's row should be highlighted (in reverse video).
  */
 function tabulate(items, options) {
     assert.arrayOfObject(items, 'items');
@@ -75,6 +269,8 @@ function tabulate(items, options) {
     assert.optionalBool(options.skipHeader, 'options.skipHeader');
     assert.optionalString(options.sort, 'options.sort');
     assert.string(options.validFields, 'options.validFields');
+    assert.optionalObject(options.widths, 'options.widths');
+    assert.optionalFunc(options.highlight, 'options.highlight');
 
     if (items.length === 0) {
         return;
@@ -84,24 +280,22 @@ function tabulate(items, options) {
     var validFields = options.validFields.split(',');
     var columns = options.columns.split(',');
     var sort = options.sort ? options.sort.split(',') : [];
-    columns.forEach(function (c) {
-        if (validFields.indexOf(c) === -1) {
-            throw new TypeError(sprintf('invalid output field: "%s"', c));
-        }
-    });
-    sort.forEach(function (s) {
-        if (s[0] === '-') s = s.slice(1);
-        if (validFields.indexOf(s) === -1) {
-            throw new TypeError(sprintf('invalid sort field: "%s"', s));
-        }
+    validateFields(columns, validFields, 'output');
+    validateFields(sort, validFields, 'sort');
+
+    sortItems(items, sort);
+    var rows = items.map(function (i) {
+        return columns.map(function (c) {
+            return cellFromValue(getPath(i, c), '-');
+        });
     });
 
     // Determine columns and widths.
-    var widths = {};
-    columns.forEach(function (c) { widths[c] = c.length; });
-    items.forEach(function (i) {
-        columns.forEach(function (c) {
-            widths[c] = Math.max(widths[c], (i[c] ? String(i[c]).length : 0));
+    var widths = options.widths || {};
+    columns.forEach(function (c, idx) {
+        widths[c] = Math.max(widths[c] || 0, c.length);
+        rows.forEach(function (row) {
+            widths[c] = Math.max(widths[c], row[idx].length);
         });
     });
 
@@ -111,390 +305,3635 @@ function tabulate(items, options) {
     });
     template = template.trim();
 
-    function cmp(a, b) {
-        for (var i = 0; i < sort.length; i++) {
-            var field = sort[i];
-            var invert = false;
-            if (field[0] === '-') {
-                invert = true;
-                field = field.slice(1);
-            }
-            assert.ok(field.length, 'zero-length sort field: ' + options.sort);
-            var a_cmp = Number(a[field]);
-            var b_cmp = Number(b[field]);
-            if (isNaN(a_cmp) || isNaN(b_cmp)) {
-                a_cmp = a[field] || '';
-                b_cmp = b[field] || '';
-            }
-            if (a_cmp < b_cmp) {
-                return (invert ? 1 : -1);
-            } else if (a_cmp > b_cmp) {
-                return (invert ? -1 : 1);
-            }
-        }
-        return 0;
-    }
-    if (sort.length) {
-        items.sort(cmp);
-    }
-
     if (!options.skipHeader) {
         var header = columns.map(function (c) { return c.toUpperCase(); });
         header.unshift(template);
         console.log(sprintf.apply(null, header));
     }
-    items.forEach(function (i) {
-        var row = columns.map(function (c) {
-            var cell = i[c];
-            if (cell === null || cell === undefined) {
-                return '-';
-            } else {
-                return String(i[c]);
-            }
-        });
+    rows.forEach(function (row, idx) {
         row.unshift(template);
-        console.log(sprintf.apply(null, row));
+        var line = sprintf.apply(null, row);
+        if (options.highlight && options.highlight(items[idx])) {
+            line = '\u001b[7m' + line + '\u001b[0m';
+        }
+        console.log(line);
     });
 }
 
 
+// Output formats for `printItems` other than a table.
+var OUTPUT_FORMATS = ['table', 'csv', 'tsv', 'ndjson'];
 
-//---- the CLI
+/**
+ * Print the given items as a table (see `tabulate`), CSV, TSV,
+ * newline-separated JSON objects, or each with a template. As with
+ * `tabulate`, nothing (not even a CSV/TSV header) is printed for no items.
+ *
+ * @params items {Array} of row objects.
+ * @params options {Object} All the `tabulate` options, plus:
+ *      - `format` {String} One of `OUTPUT_FORMATS`. Default "table". The
+ *        "ndjson" format prints whole items, ignoring `columns`.
+ *      - `template` {String} Optional. Print each item with this template,
+ *        in which "{{<field>}}" is replaced with the item's field value
+ *        (possibly a dotted path) and "\t" and "\n" are a tab and a
+ *        newline.
+ */
+function printItems(items, options) {
+    assert.object(options, 'options');
+    assert.optionalString(options.format, 'options.format');
+    assert.optionalString(options.template, 'options.template');
 
-function CLI() {
-    Cmdln.call(this, {
-        name: 'sdc-vmadm',
-        desc: 'Administer SDC VMs in VMAPI',
-        // Custom options. By default you get -h/--help.
-        options: [
-            {names: ['help', 'h'], type: 'bool', help: 'Print help and exit.'},
-            {name: 'version', type: 'bool', help: 'Print version and exit.'},
-            {names: ['verbose', 'v'], type: 'bool',
-                help: 'Verbose/debug output.'}
-        ],
-        helpOpts: {
-            includeEnv: true,
-            minHelpCol: 23 /* line up with option help */
+    var format = options.format || 'table';
+    if (OUTPUT_FORMATS.indexOf(format) === -1) {
+        throw new errors.UsageError(sprintf(
+            'unknown output format "%s": must be one of %s', format,
+            OUTPUT_FORMATS.join(', ')));
+    } else if (format === 'table' && !options.template) {
+        return tabulate(items, options);
+    }
+
+    var validFields = options.validFields.split(',');
+    var columns = options.columns.split(',');
+    var sort = options.sort ? options.sort.split(',') : [];
+    validateFields(sort, validFields, 'sort');
+    sortItems(items, sort);
+
+    if (options.template) {
+        var template = options.template
+            .replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+        items.forEach(function (i) {
+            p(template.replace(/{{([\w.-]+)}}/g, function (_, field) {
+                return cellFromValue(getPath(i, field), '');
+            }));
+        });
+        return;
+    } else if (format === 'ndjson') {
+        items.forEach(function (i) {
+            p(JSON.stringify(i));
+        });
+        return;
+    }
+
+    validateFields(columns, validFields, 'output');
+    if (items.length === 0) {
+        return;
+    }
+    var sep = (format === 'csv' ? ',' : '\t');
+    function escape(cell) {
+        if (format === 'tsv') {
+            return cell.replace(/[\t\r\n]/g, ' ');
+        } else if (/[",\r\n]/.test(cell)) {
+            return '"' + cell.replace(/"/g, '""') + '"';
         }
+        return cell;
+    }
+    if (!options.skipHeader) {
+        p(columns.join(sep));
+    }
+    items.forEach(function (i) {
+        p(columns.map(function (c) {
+            return escape(cellFromValue(getPath(i, c), ''));
+        }).join(sep));
     });
 }
-util.inherits(CLI, Cmdln);
 
-// Custom `init` to handle custom options (i.e. 'version' defined above).
-CLI.prototype.init = function (opts, args, callback) {
-    if (opts.version) {
-        p(this.name, VERSION);
-        callback(false);
-        return;
+
+/**
+ * Parse a duration (e.g. "90m", "2w") into a number of milliseconds.
+ * Returns undefined if `str` isn't a duration.
+ */
+function msFromDuration(str) {
+    var MS_FROM_SCOPE = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    };
+    var match = /^([1-9]\d*)([smhdw])$/.exec(str);
+    if (!match) {
+        return undefined;
     }
-    this.opts = opts;
-    if (opts.verbose) {
-        log.level('trace');
-        log.src = true;
+    return Number(match[1]) * MS_FROM_SCOPE[match[2]];
+}
+
+
+/**
+ * Parse a time value as used in filter terms and some options: either a
+ * duration "ago" (e.g. "2w" for two weeks ago) or a date parsable by
+ * `new Date()`. Returns a Date or throws a UsageError.
+ */
+function dateFromTimeArg(str) {
+    var ms = msFromDuration(str);
+    if (ms !== undefined) {
+        return new Date(Date.now() - ms);
     }
+    var d = new Date(str);
+    if (isNaN(d.getTime())) {
+        throw new errors.UsageError(sprintf('invalid date or duration ' +
+            '(e.g. "2d", "2015-01-01T00:00:00Z"): "%s"', str));
+    }
+    return d;
+}
 
-    this.initVmapiClient();
-    // Cmdln class handles `opts.help`.
-    Cmdln.prototype.init.apply(this, arguments);
-};
 
 
-CLI.prototype.initVmapiClient = function () {
-    var options = {
-        log: log,
-        url: 'http://' + config.vmapi_domain
-    };
-    this.vmapi = new VMAPI(options);
-};
+/**
+ * Read all of stdin.
+ *
+ * @param callback {Function} `function (stdin)`
+ */
+function readStdin(callback) {
+    var stdin = '';
+    process.stdin.resume();
+    process.stdin.on('data', function (chunk) {
+        stdin += chunk;
+    });
+    process.stdin.on('end', function () {
+        callback(stdin);
+    });
+}
 
 
-CLI.prototype.do_get = function (subcmd, opts, args, callback) {
-    if (opts.help) {
-        this.do_help('help', {}, [subcmd], callback);
-        return;
-    } else if (args.length !== 1) {
-        return callback(new errors.UsageError(sprintf(
-            'incorrect number of arguments: "%s"', args.join(' '))));
-    }
-    var uuid = args[0];
-    this.vmapi.getVm({ uuid: uuid }, function (err, vm) {
+/**
+ * The message of an error, preferring that of an API error response body.
+ */
+function errMsg(err) {
+    return (err.body && err.body.message) || err.message;
+}
+
+
+/**
+ * Return true if the given API error means the requested object doesn't
+ * exist (as opposed to the API being unreachable or failing).
+ */
+function isNotFoundError(err) {
+    return (err.statusCode === 404 || err.restCode === 'ResourceNotFound' ||
+        err.name === 'NoSuchObjectError');
+}
+
+
+/**
+ * Ask the user to confirm (with "y" or "yes") an action.
+ *
+ * @param prompt {String}
+ * @param callback {Function} `function (err, confirmed)`
+ */
+function confirm(prompt, callback) {
+    read({prompt: prompt}, function (err, answer) {
         if (err) {
-            return callback(new errors.APIError(err));
+            return callback(err);
         }
-        p(JSON.stringify(vm, null, 2));
-        return callback();
+        answer = answer.trim().toLowerCase();
+        callback(null, answer === 'y' || answer === 'yes');
     });
-};
-CLI.prototype.do_get.options = [
-    {
-        names: ['help', 'h'],
-        type: 'bool',
-        help: 'Show this help.'
-    }
-];
-CLI.prototype.do_get.help = (
-    'Get a VM.\n' +
-    '\n' +
-    'Usage:\n' +
-    '     {{name}} get [<options>] <uuid>\n' +
-    '\n' +
-    '{{options}}\n' +
-    'This emits in JSON by default.\n'
-);
+}
 
-CLI.prototype.do_ips = function (subcmd, opts, args, callback) {
-    if (opts.help) {
-        this.do_help('help', {}, [subcmd], callback);
-        return;
-    } else if (args.length !== 1) {
-        return callback(new errors.UsageError(sprintf(
-            'incorrect number of arguments: "%s"', args.join(' '))));
+
+/**
+ * Return a `ProtectedVmError` if any of the given VMs are core VMs (i.e.
+ * have a "smartdc_role" tag) or are tagged "protected=true", else null.
+ *
+ * @param vms {Array} of VM objects.
+ * @param force {Boolean} Allow protected VMs.
+ */
+function protectionError(vms, force) {
+    if (force) {
+        return null;
     }
-    var uuid = args[0];
-    this.vmapi.getVm({ uuid: uuid }, function (err, vm) {
-        if (err) {
-            return callback(new errors.APIError(err));
+    var protectedVms = [];
+    vms.forEach(function (vm) {
+        var tags = vm.tags || {};
+        var reason;
+        if (tags.smartdc_role) {
+            reason = 'core VM with smartdc_role=' + tags.smartdc_role;
+        } else if (tags['protected'] === true ||
+            tags['protected'] === 'true')
+        {
+            reason = 'tagged protected=true';
         }
-
-        var ips = [];
-        if (!vm.hasOwnProperty('nics') || vm.nics.length === 0) {
-            return callback();
+        if (reason) {
+            protectedVms.push({uuid: vm.uuid, alias: vm.alias,
+                reason: reason});
         }
-        for (var n in vm.nics) {
-            var nic = vm.nics[n];
-            if (nic.hasOwnProperty('ip') && ips.indexOf(nic.ip) === -1) {
-                if (opts.primary && nic.primary) {
-                    p(nic.ip);
-                    return callback();
-                }
+    });
+    return (protectedVms.length
+        ? new errors.ProtectedVmError(protectedVms) : null);
+}
+
+
+/**
+ * Print a before/after table of the changed fields and ask for
+ * confirmation, unless `yes` is true.
+ *
+ * @param before {Object}
+ * @param after {Object}
+ * @param prompt {String} The confirmation question.
+ * @param yes {Boolean} Don't ask for confirmation.
+ * @param callback {Function} `function (err, changed)` where `changed` is
+ *      false if there are no changes.
+ */
+function confirmChanges(before, after, prompt, yes, callback) {
+    var fields = Object.keys(before);
+    Object.keys(after).forEach(function (f) {
+        if (fields.indexOf(f) === -1) {
+            fields.push(f);
+        }
+    });
+    var changes = fields.filter(function (f) {
+        return JSON.stringify(before[f]) !== JSON.stringify(after[f]);
+    }).sort().map(function (f) {
+        return {field: f, before: before[f], after: after[f]};
+    });
+    if (changes.length === 0) {
+        p('No changes');
+        return callback(null, false);
+    }
+
+    tabulate(changes, {
+        columns: 'field,before,after',
+        validFields: 'field,before,after'
+    });
+    if (yes) {
+        return callback(null, true);
+    } else if (!process.stdin.isTTY) {
+        return callback(new errors.UsageError(
+            'refusing to make changes without confirmation: use "-y"'));
+    }
+    confirm('\n' + prompt + ' [y/N] ', function (err, confirmed) {
+        if (err) {
+            return callback(err);
+        } else if (!confirmed) {
+            return callback(new errors.UsageError('aborted'));
+        }
+        callback(null, true);
+    });
+}
+
+
+/**
+ * Interactively pick from a numbered list of choices. The user can enter
+ * a choice number (or several, comma-separated, if `options.multiple`), or
+ * text to search for in the listed columns.
+ *
+ * @param options {Object}
+ *      - `title` {String} Prompt title, e.g. "image".
+ *      - `rows` {Array} of row objects. Each must have a `value` field: the
+ *        value returned when that row is chosen.
+ *      - `columns` {String} Comma-separated row fields to show.
+ *      - `defaultIndex` {Number} Optional. Index of the default row.
+ *      - `multiple` {Boolean} Optional. Allow choosing multiple rows.
+ * @param callback {Function} `function (err, value)`, or
+ *      `function (err, values)` if `options.multiple`. It is an error if
+ *      there are no rows to choose from.
+ */
+function pickFromList(options, callback) {
+    assert.object(options, 'options');
+    assert.string(options.title, 'options.title');
+    assert.arrayOfObject(options.rows, 'options.rows');
+    assert.string(options.columns, 'options.columns');
+    assert.optionalNumber(options.defaultIndex, 'options.defaultIndex');
+    assert.optionalBool(options.multiple, 'options.multiple');
+
+    if (options.rows.length === 0) {
+        return callback(new errors.UsageError(sprintf(
+            'no choices for "%s"', options.title)));
+    }
+
+    var columns = options.columns.split(',');
+    var rows = options.rows.map(function (row, i) {
+        return objMerge({n: i + 1}, row);
+    });
+    var defaultN = (options.defaultIndex === undefined
+        ? undefined : String(options.defaultIndex + 1));
+
+    function choose(shown) {
+        tabulate(shown, {
+            columns: 'n,' + options.columns,
+            validFields: 'n,' + options.columns
+        });
+        read({
+            prompt: sprintf('%s (number%s or search text):', options.title,
+                options.multiple ? 's' : ''),
+            'default': defaultN
+        }, function (err, answer) {
+            if (err) {
+                return callback(err);
+            }
+            answer = answer.trim();
+
+            // A single out-of-range number (e.g. "512") is search text.
+            var nums = (/^\d+(\s*,\s*\d+)*$/.test(answer)
+                ? answer.split(/\s*,\s*/).map(Number) : []);
+            var inRange = nums.filter(function (n) {
+                return (n >= 1 && n <= rows.length);
+            });
+            if (nums.length > 1 && !options.multiple) {
+                p('Choose only one %s.', options.title);
+                return choose(shown);
+            } else if (nums.length > 1 && inRange.length < nums.length) {
+                p('Choose from numbers 1 to %d.', rows.length);
+                return choose(shown);
+            } else if (nums.length > 0 && inRange.length === nums.length) {
+                var values = nums.map(function (n) {
+                    return rows[n - 1].value;
+                });
+                return callback(null,
+                    options.multiple ? values : values[0]);
+            } else if (answer === '') {
+                return choose(shown);
+            }
+
+            // Each search word must be found in one of the columns.
+            var words = answer.toLowerCase().split(/\s+/);
+            var matches = rows.filter(function (row) {
+                return words.every(function (word) {
+                    return columns.some(function (c) {
+                        return (row[c] !== undefined && row[c] !== null &&
+                            String(row[c]).toLowerCase().indexOf(word) !== -1);
+                    });
+                });
+            });
+            if (matches.length === 1 && !options.multiple) {
+                return callback(null, matches[0].value);
+            } else if (matches.length === 0) {
+                p('No %s matches "%s".', options.title, answer);
+                return choose(rows);
+            }
+            choose(matches);
+        });
+    }
+
+    choose(rows);
+}
+
+
+/**
+ * Flatten the given object to a map of dotted paths (e.g. "nics.0.ip") to
+ * scalar values.
+ */
+function flattenObject(obj, prefix, flat) {
+    flat = flat || {};
+    Object.keys(obj).forEach(function (k) {
+        var key = (prefix ? prefix + '.' + k : k);
+        var v = obj[k];
+        if (v !== null && typeof (v) === 'object' &&
+            Object.keys(v).length > 0)
+        {
+            flattenObject(v, key, flat);
+        } else {
+            flat[key] = v;
+        }
+    });
+    return flat;
+}
+
+
+/**
+ * The error message from a workflow job task result, if any.
+ */
+function taskErrorMessage(result) {
+    var err = result.error;
+    if (!err) {
+        return undefined;
+    } else if (typeof (err) === 'string') {
+        return err;
+    }
+    return err.message || JSON.stringify(err);
+}
+
+
+/**
+ * A one line summary of a workflow job task result: "<task>: <result>" or
+ * "<task>: error: <message>".
+ */
+function taskResultLine(result) {
+    var errMsg = taskErrorMessage(result);
+    if (errMsg) {
+        return sprintf('%s: error: %s', result.name, errMsg);
+    }
+    return sprintf('%s: %s', result.name, result.result);
+}
+
+
+/**
+ * Return true if a server with the given traits can host a VM with the
+ * given (package and image) traits. As with DAPI, a server with traits
+ * only hosts VMs asking for those traits, and a VM with traits only goes
+ * to servers with them. A trait value can be a boolean, a string or (for
+ * VM traits) an array of acceptable strings.
+ */
+function traitsMatch(vmTraits, serverTraits) {
+    vmTraits = vmTraits || {};
+    serverTraits = serverTraits || {};
+
+    function ok(want, have) {
+        if (Array.isArray(want)) {
+            return want.indexOf(have) !== -1;
+        }
+        return (want === have || (want === true && have !== undefined &&
+            have !== false));
+    }
+
+    var key;
+    for (key in vmTraits) {
+        if (!ok(vmTraits[key], serverTraits[key])) {
+            return false;
+        }
+    }
+    for (key in serverTraits) {
+        if (!vmTraits.hasOwnProperty(key)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
+/**
+ * Find a VM's NIC by MAC or IP.
+ *
+ * @returns {Object} The NIC.
+ * @throws {UsageError} if the VM has no such NIC.
+ */
+function findNic(vm, macOrIp) {
+    var nic = (vm.nics || []).filter(function (n) {
+        return (n.mac === macOrIp || n.ip === macOrIp);
+    })[0];
+    if (!nic) {
+        throw new errors.UsageError(sprintf(
+            'VM %s has no NIC with MAC or IP "%s"', vm.uuid, macOrIp));
+    }
+    return nic;
+}
+
+
+
+//---- VM filters
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/*
+ * The fields on which VMs can be filtered. `type` determines how values are
+ * parsed and compared. Fields with `server: true` are indexed by VMAPI and
+ * are included in the LDAP-style `query` sent to it, using the `attr` name
+ * if given. All terms are (also) checked client-side against the returned
+ * VMs, so a term VMAPI can't express just means more VMs are transferred.
+ *
+ * "tag.NAME" terms are handled specially (see `parseFilterTerm`).
+ */
+var FILTER_FIELDS = {
+    uuid: {type: 'string', server: true},
+    owner_uuid: {type: 'string', server: true},
+    image_uuid: {type: 'string', server: true},
+    billing_id: {type: 'string', server: true},
+    server_uuid: {type: 'string', server: true},
+    brand: {type: 'string', server: true},
+    state: {type: 'string', server: true},
+    alias: {type: 'string', server: true},
+    zpool: {type: 'string'},
+    ram: {type: 'number', server: true, attr: 'max_physical_memory'},
+    max_physical_memory: {type: 'number', server: true},
+    max_swap: {type: 'number'},
+    max_lwps: {type: 'number'},
+    quota: {type: 'number'},
+    cpu_cap: {type: 'number'},
+    cpu_shares: {type: 'number'},
+    zfs_io_priority: {type: 'number'},
+    create_timestamp: {type: 'date', server: true},
+    last_modified: {type: 'date'},
+    destroyed: {type: 'date'},
+    autoboot: {type: 'bool'},
+    firewall_enabled: {type: 'bool'}
+};
+
+
+/**
+ * Convert a glob-ish pattern ("web*") into an anchored RegExp.
+ */
+function regExpFromGlob(pattern) {
+    var parts = pattern.split('*').map(function (part) {
+        return part.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    });
+    return new RegExp('^' + parts.join('.*') + '$');
+}
+
+
+/**
+ * The VMAPI `state=active` pseudo-state: anything not destroyed or failed.
+ */
+function activeStateFilter() {
+    var and = new filters.AndFilter();
+    ['destroyed', 'failed'].forEach(function (state) {
+        and.addFilter(new filters.NotFilter({
+            filter: new filters.EqualityFilter(
+                {attribute: 'state', value: state})
+        }));
+    });
+    return and;
+}
+
+
+/**
+ * Parse a single filter term of the form `<field><op><value>`.
+ *
+ * Supported operators are "=" (or "=="), "!=", ">=", "<=", ">" and "<".
+ * String values may include "*" wildcards for "=" and "!=". Date fields
+ * take a date or a duration "ago", e.g. "create_timestamp>2w".
+ *
+ * @returns {Object} with:
+ *      - `term` {String} the original term
+ *      - `match` {Function} `function (vm)` returning true if the VM
+ *        matches
+ *      - `ldapFilter` {Object} an ldapjs filter expressing this term for
+ *        VMAPI, or null if this term can only be checked client-side.
+ */
+function parseFilterTerm(term) {
+    /* JSSTYLED */
+    var parsed = /^([\w.]+?)\s*(==|!=|>=|<=|=|>|<)\s*(.*?)$/.exec(term);
+    if (!parsed) {
+        throw new errors.UsageError(sprintf(
+            'invalid filter term, must match "<field><op><value>": "%s"',
+            term));
+    }
+    var field = parsed[1];
+    var op = (parsed[2] === '==' ? '=' : parsed[2]);
+    var raw = parsed[3];
+
+    var getValue, attr, type, server;
+    var tagMatch = /^tags?\.(.+)$/.exec(field);
+    if (tagMatch) {
+        var tagName = tagMatch[1];
+        type = 'string';
+        // Tags are stored in VMAPI as "-key=value-" strings in `tags`.
+        server = (op === '=' || (op === '!=' && raw.indexOf('*') === -1));
+        attr = 'tags';
+        getValue = function (vm) {
+            return (vm.tags ? vm.tags[tagName] : undefined);
+        };
+    } else if (FILTER_FIELDS[field]) {
+        var info = FILTER_FIELDS[field];
+        type = info.type;
+        server = Boolean(info.server);
+        attr = info.attr || field;
+        getValue = function (vm) {
+            if (field === 'ram' && vm.ram === undefined) {
+                return vm.max_physical_memory;
+            }
+            return vm[field];
+        };
+    } else {
+        throw new errors.UsageError(sprintf(
+            'unknown filter field: "%s"', field));
+    }
+
+    // Parse the value and determine a `cmp(actual)` returning <0, 0, >0.
+    var value, cmp;
+    var isGlob = false;
+    switch (type) {
+    case 'string':
+        value = raw;
+        isGlob = (value.indexOf('*') !== -1);
+        if (isGlob && op !== '=' && op !== '!=') {
+            throw new errors.UsageError(sprintf(
+                'wildcards are only supported with "=" and "!=": "%s"',
+                term));
+        }
+        if (op !== '=' && op !== '!=') {
+            // Lexical comparisons are only done client-side.
+            server = false;
+        }
+        var re = isGlob ? regExpFromGlob(value) : null;
+        cmp = function (actual) {
+            actual = String(actual);
+            if (re) {
+                return (re.test(actual) ? 0 : 1);
+            }
+            return (actual < value ? -1 : (actual > value ? 1 : 0));
+        };
+        break;
+    case 'number':
+        value = Number(raw);
+        if (raw === '' || isNaN(value)) {
+            throw new errors.UsageError(sprintf(
+                'invalid number value for "%s": "%s"', field, raw));
+        }
+        cmp = function (actual) {
+            return Number(actual) - value;
+        };
+        break;
+    case 'date':
+        value = dateFromTimeArg(raw).getTime();
+        cmp = function (actual) {
+            return new Date(actual).getTime() - value;
+        };
+        break;
+    case 'bool':
+        if (raw !== 'true' && raw !== 'false') {
+            throw new errors.UsageError(sprintf(
+                'invalid boolean value for "%s": "%s"', field, raw));
+        } else if (op !== '=' && op !== '!=') {
+            throw new errors.UsageError(sprintf(
+                'only "=" and "!=" are supported for "%s": "%s"',
+                field, term));
+        }
+        value = (raw === 'true');
+        cmp = function (actual) {
+            return (Boolean(actual) === value ? 0 : 1);
+        };
+        break;
+    default:
+        throw new Error('unknown filter field type: ' + type);
+    }
+
+    var match = function (vm) {
+        var actual = getValue(vm);
+        var missing = (actual === undefined || actual === null);
+        if (field === 'state' && value === 'active') {
+            var active = (actual !== 'destroyed' && actual !== 'failed');
+            return (op === '!=' ? !active : active);
+        }
+        if (missing && type !== 'bool') {
+            return (op === '!=');
+        }
+        var c = cmp(actual);
+        if (isNaN(c)) {
+            return false;
+        }
+        switch (op) {
+        case '=':
+            return (c === 0);
+        case '!=':
+            return (c !== 0);
+        case '>=':
+            return (c >= 0);
+        case '<=':
+            return (c <= 0);
+        case '>':
+            return (c > 0);
+        case '<':
+            return (c < 0);
+        default:
+            throw new Error('unknown op: ' + op);
+        }
+    };
+
+    var ldapFilter = null;
+    if (server) {
+        var ldapValue = String(value);
+        var eq;
+        if (field === 'state' && value === 'active') {
+            eq = activeStateFilter();
+        } else if (attr === 'tags') {
+            var parts = (tagName + '=' + value).split(/\*+/);
+            parts[0] = '-' + parts[0];
+            parts[parts.length - 1] += '-';
+            eq = new filters.SubstringFilter({
+                attribute: 'tags',
+                initial: '',
+                any: parts,
+                'final': ''
+            });
+        } else if (isGlob) {
+            var globParts = ldapValue.split(/\*+/);
+            eq = new filters.SubstringFilter({
+                attribute: attr,
+                initial: globParts[0],
+                any: globParts.slice(1, -1),
+                'final': globParts[globParts.length - 1]
+            });
+        } else {
+            eq = new filters.EqualityFilter(
+                {attribute: attr, value: ldapValue});
+        }
+        var ge = function () {
+            return new filters.GreaterThanEqualsFilter(
+                {attribute: attr, value: ldapValue});
+        };
+        var le = function () {
+            return new filters.LessThanEqualsFilter(
+                {attribute: attr, value: ldapValue});
+        };
+        var strict = function (f) {
+            var and = new filters.AndFilter();
+            and.addFilter(f);
+            and.addFilter(new filters.NotFilter({filter: eq}));
+            return and;
+        };
+        switch (op) {
+        case '=':
+            ldapFilter = eq;
+            break;
+        case '!=':
+            ldapFilter = new filters.NotFilter({filter: eq});
+            break;
+        case '>=':
+            ldapFilter = ge();
+            break;
+        case '<=':
+            ldapFilter = le();
+            break;
+        case '>':
+            ldapFilter = strict(ge());
+            break;
+        case '<':
+            ldapFilter = strict(le());
+            break;
+        default:
+            throw new Error('unknown op: ' + op);
+        }
+    }
+
+    return {
+        term: term,
+        field: field,
+        match: match,
+        ldapFilter: ldapFilter
+    };
+}
+
+
+/**
+ * Return true if the given arg looks like a filter term (e.g. "alias=foo")
+ * rather than, say, a VM UUID.
+ */
+function isFilterTerm(arg) {
+    /* JSSTYLED */
+    return /^[\w.]+\s*(==|!=|>=|<=|=|>|<)/.test(arg);
+}
+
+
+/**
+ * Compile a list of filter terms (all of which must match) into a VMAPI
+ * `listVms` query and a client-side match function.
+ *
+ * Unless one of the terms is on "state", only active VMs are matched.
+ *
+ * @returns {Object} with:
+ *      - `query` {String} LDAP filter string for VMAPI's ListVms `query`
+ *      - `match` {Function} `function (vm)` returning true if the VM
+ *        matches all terms
+ *      - `clientOnly` {Array} of the terms that VMAPI couldn't check
+ */
+function compileVmFilter(terms) {
+    assert.arrayOfString(terms, 'terms');
+
+    var parsed = terms.map(parseFilterTerm);
+    var hasState = parsed.some(function (t) { return t.field === 'state'; });
+    if (!hasState) {
+        parsed.unshift(parseFilterTerm('state=active'));
+    }
+
+    var and = new filters.AndFilter();
+    var clientOnly = [];
+    parsed.forEach(function (t) {
+        if (t.ldapFilter instanceof filters.AndFilter) {
+            t.ldapFilter.filters.forEach(function (f) { and.addFilter(f); });
+        } else if (t.ldapFilter) {
+            and.addFilter(t.ldapFilter);
+        } else {
+            clientOnly.push(t.term);
+        }
+    });
+    var query = (and.filters.length === 1
+        ? and.filters[0].toString() : and.toString());
+
+    return {
+        query: query,
+        match: function (vm) {
+            for (var i = 0; i < parsed.length; i++) {
+                if (!parsed[i].match(vm)) {
+                    return false;
+                }
+            }
+            return true;
+        },
+        clientOnly: clientOnly
+    };
+}
+
+
+
+//---- the CLI
+
+function CLI() {
+    Cmdln.call(this, {
+        name: 'sdc-vmadm',
+        desc: 'Administer SDC VMs in VMAPI.\n' +
+            '\n' +
+            'A "<uuid>" VM argument can also be a unique VM UUID prefix ' +
+            'or a unique\n' +
+            'VM alias (scoped to one owner with "-O UUID").',
+        // Custom options. By default you get -h/--help.
+        options: [
+            {names: ['help', 'h'], type: 'bool', help: 'Print help and exit.'},
+            {name: 'version', type: 'bool', help: 'Print version and exit.'},
+            {names: ['verbose', 'v'], type: 'bool',
+                help: 'Verbose/debug output.'},
+            {names: ['owner', 'O'], type: 'string', helpArg: 'UUID',
+                help: 'Only resolve VM aliases and UUID prefixes to VMs ' +
+                    'owned by this user.'}
+        ],
+        helpOpts: {
+            includeEnv: true,
+            minHelpCol: 23 /* line up with option help */
+        }
+    });
+}
+util.inherits(CLI, Cmdln);
+
+// Custom `init` to handle custom options (i.e. 'version' defined above).
+CLI.prototype.init = function (opts, args, callback) {
+    if (opts.version) {
+        p(this.name, VERSION);
+        callback(false);
+        return;
+    }
+    this.opts = opts;
+    if (opts.verbose) {
+        log.level('trace');
+        log.src = true;
+    }
+
+    this.initVmapiClient();
+    this.initApiClients();
+    // Cmdln class handles `opts.help`.
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+
+CLI.prototype.initVmapiClient = function () {
+    var options = {
+        log: log,
+        url: 'http://' + config.vmapi_domain
+    };
+    this.vmapi = new VMAPI(options);
+};
+
+
+/**
+ * The other API clients, used to validate and describe VMs.
+ */
+CLI.prototype.initApiClients = function () {
+    this.cnapi = new CNAPI({log: log, url: 'http://' + config.cnapi_domain});
+    this.imgapi = new IMGAPI({log: log,
+        url: 'http://' + config.imgapi_domain});
+    this.napi = new NAPI({log: log, url: 'http://' + config.napi_domain});
+    this.papi = new PAPI({log: log, url: 'http://' + config.papi_domain});
+};
+
+
+CLI.prototype.getUfdsClient = function (callback) {
+    var self = this;
+    if (self._ufdsClient) {
+        return callback(null, self._ufdsClient);
+    }
+
+    var client = new UFDS({
+        bindDN: 'cn=root',
+        bindPassword: 'secret',
+        log: log,
+        url: 'ldaps://' + config.ufds_domain,
+        connectTimeout: 15000,
+        retry: {
+            maxDelay: 10000,
+            retries: 2
+        }
+    });
+    client.once('error', callback);
+    client.once('connect', function () {
+        client.removeAllListeners('error');
+        client.on('error', function (err) {
+            log.error(err, 'UFDS disconnected');
+        });
+        self._ufdsClient = client;
+        callback(null, client);
+    });
+};
+
+
+/**
+ * Check a VM create payload against UFDS (owner), IMGAPI (image), PAPI
+ * (package) and NAPI (networks).
+ *
+ * @param data {Object} The CreateVm payload.
+ * @param callback {Function} `function (err)` where `err` is a
+ *      `ValidationError` listing all the problems found, or an
+ *      `InternalError` if any of the lookups failed (other than with "not
+ *      found"), in which case the payload couldn't be fully checked.
+ */
+CLI.prototype.validateVmPayload = function (data, callback) {
+    assert.object(data, 'data');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var problems = [];
+    var lookupErrs = [];
+
+    /*
+     * Record the failure of looking up `what`: a problem with the payload
+     * if it doesn't exist, else a lookup error.
+     */
+    function lookupFailed(what, err) {
+        if (isNotFoundError(err)) {
+            problems.push(sprintf('%s not found: %s', what, errMsg(err)));
+        } else {
+            lookupErrs.push({what: what, err: err});
+        }
+    }
+
+    ['owner_uuid', 'brand', 'networks', 'billing_id'].forEach(function (f) {
+        if (data[f] === undefined || data[f] === '') {
+            problems.push(sprintf('missing "%s"', f));
+        }
+    });
+    var imageUuid = data.image_uuid ||
+        (data.disks && data.disks[0] && data.disks[0].image_uuid);
+    if (!imageUuid) {
+        problems.push('missing "image_uuid"');
+    }
+    if (data.networks !== undefined && !Array.isArray(data.networks)) {
+        problems.push('"networks" is not an array');
+    }
+
+    async.parallel([
+        function checkOwner(next) {
+            if (!data.owner_uuid) {
+                return next();
+            }
+            var what = sprintf('owner "%s"', data.owner_uuid);
+            self.getUfdsClient(function (cErr, client) {
+                if (cErr) {
+                    lookupErrs.push({what: what, err: cErr});
+                    return next();
+                }
+                client.getUser(data.owner_uuid, function (err, user) {
+                    if (err) {
+                        lookupFailed(what, err);
+                    } else if (!user) {
+                        problems.push(what + ' not found in UFDS');
+                    }
+                    next();
+                });
+            });
+        },
+        function checkImage(next) {
+            if (!imageUuid) {
+                return next();
+            }
+            self.imgapi.getImage(imageUuid, function (err, image) {
+                if (err) {
+                    lookupFailed(sprintf('image "%s"', imageUuid), err);
+                    return next();
+                }
+                if (image.state !== 'active') {
+                    problems.push(sprintf('image "%s" (%s@%s) is not ' +
+                        'active: state is "%s"', image.uuid, image.name,
+                        image.version, image.state));
+                }
+                // Only brands we know the image types for are checked.
+                var types = IMAGE_TYPES_FROM_BRAND[data.brand];
+                var reqBrand = image.requirements &&
+                    image.requirements.brand;
+                if (reqBrand && data.brand && reqBrand !== data.brand) {
+                    problems.push(sprintf('image "%s" requires brand ' +
+                        '"%s", not "%s"', image.uuid, reqBrand, data.brand));
+                } else if (types && types.indexOf(image.type) === -1) {
+                    problems.push(sprintf('image "%s" is of type "%s", ' +
+                        'which cannot be used with brand "%s"', image.uuid,
+                        image.type, data.brand));
+                }
+                next();
+            });
+        },
+        function checkPackage(next) {
+            if (!data.billing_id) {
+                return next();
+            }
+            self.papi.get(data.billing_id, {}, function (err, pkg) {
+                if (err) {
+                    lookupFailed(sprintf('package "%s"', data.billing_id),
+                        err);
+                } else if (pkg.active === false) {
+                    problems.push(sprintf('package "%s" (%s) is not active',
+                        pkg.uuid, pkg.name));
+                }
+                next();
+            });
+        },
+        function checkNetworks(next) {
+            if (!Array.isArray(data.networks)) {
+                return next();
+            }
+            async.forEach(data.networks, function (net, nextNet) {
+                var id = (typeof (net) === 'string' ? net
+                    : net && (net.ipv4_uuid || net.uuid || net.name));
+                if (!id) {
+                    problems.push(sprintf('invalid network %s: expected ' +
+                        'a UUID or an object with "uuid" or "name"',
+                        JSON.stringify(net)));
+                    return nextNet();
+                }
+                self.getNetwork(id, function (err, network) {
+                    if (err) {
+                        lookupFailed(sprintf('network "%s"', id), err);
+                    } else if (data.owner_uuid && network.owner_uuids &&
+                        network.owner_uuids.length > 0 &&
+                        network.owner_uuids.indexOf(data.owner_uuid) === -1)
+                    {
+                        problems.push(sprintf('network "%s" (%s) is not ' +
+                            'provisionable by owner "%s"', network.uuid,
+                            network.name, data.owner_uuid));
+                    }
+                    nextNet();
+                });
+            }, next);
+        }
+    ], function () {
+        if (lookupErrs.length > 0) {
+            return callback(new errors.InternalError({
+                cause: lookupErrs[0].err,
+                message: sprintf('could not validate the VM payload (use ' +
+                    '"--no-validate" to skip validation):\n    %s',
+                    lookupErrs.map(function (l) {
+                        return sprintf('could not check %s: %s', l.what,
+                            errMsg(l.err));
+                    }).join('\n    '))
+            }));
+        } else if (problems.length > 0) {
+            return callback(new errors.ValidationError(problems));
+        }
+        callback();
+    });
+};
+
+
+/**
+ * Get a NAPI network or network pool by UUID or (for networks) by name.
+ *
+ * @param id {String} UUID or name.
+ * @param callback {Function} `function (err, network)`
+ */
+CLI.prototype.getNetwork = function (id, callback) {
+    var self = this;
+    if (!UUID_RE.test(id)) {
+        return self.napi.listNetworks({name: id}, function (err, nets) {
+            if (err) {
+                return callback(err);
+            } else if (nets.length === 0) {
+                var nfErr = new Error('no network with that name');
+                nfErr.statusCode = 404;
+                return callback(nfErr);
+            }
+            callback(null, nets[0]);
+        });
+    }
+    self.napi.getNetwork(id, function (err, net) {
+        if (err && err.statusCode === 404) {
+            return self.napi.getNetworkPool(id, callback);
+        }
+        callback(err, net);
+    });
+};
+
+
+/**
+ * Get a connected urclient (created on first use).
+ *
+ * @param callback {Function} `function (err, ur)`
+ */
+CLI.prototype.getUrClient = function (callback) {
+    var self = this;
+    if (self._urclient) {
+        return callback(null, self._urclient);
+    }
+
+    var ur = urclient.create_ur_client({
+        log: log,
+        connect_timeout: 5000,
+        enable_http: false,
+        bind_ip: getLocalIp(config),
+        amqp_config: getAmqpConfig(config)
+    });
+    ur.on('ready', function () {
+        self._urclient = ur;
+        callback(null, ur);
+    });
+};
+
+
+/**
+ * Run `vmadm get` for the given VM on its compute node.
+ *
+ * @param vm {Object} The VM, as from VMAPI.
+ * @param callback {Function} `function (err, vmadmVm)`
+ */
+CLI.prototype.vmadmGet = function (vm, callback) {
+    assert.object(vm, 'vm');
+    assert.string(vm.server_uuid, 'vm.server_uuid');
+
+    var cmd = '/usr/sbin/vmadm get ' + vm.uuid;
+    this.getUrClient(function (urErr, ur) {
+        if (urErr) {
+            return callback(urErr);
+        }
+        ur.exec({
+            script: '#!/bin/bash\n' + cmd + '\n',
+            server_uuid: vm.server_uuid,
+            timeout: 30 * 1000,
+            env: {}
+        }, function (err, result) {
+            if (err) {
+                return callback(err);
+            } else if (result.exit_status !== 0) {
+                return callback(new errors.UrExecError(vm.server_uuid, cmd,
+                    result.stderr));
+            }
+            var vmadmVm;
+            try {
+                vmadmVm = JSON.parse(result.stdout);
+            } catch (ex) {
+                return callback(new errors.InternalError({cause: ex,
+                    message: 'invalid JSON from vmadm get: ' + ex}));
+            }
+            callback(null, vmadmVm);
+        });
+    });
+};
+
+
+/**
+ * List the VMs matching the given filter from VMAPI, one page at a time.
+ *
+ * @param options {Object}
+ *      - `filter` {Object} A compiled filter from `compileVmFilter`.
+ *      - `limit` {Number} Optional. Make a single request for this many VMs
+ *        instead of paging through all of them.
+ *      - `offset` {Number} Optional. Offset at which to start.
+ *      - `sort` {String} Optional. VMAPI sort, e.g. "alias.desc".
+ * @param onPage {Function} `function (vms)` called with the matching VMs
+ *      from each page, in order.
+ * @param callback {Function} `function (err, total)` where `total` is the
+ *      VMAPI resource count (the "x-joyent-resource-count" header) for the
+ *      query, if known.
+ */
+CLI.prototype.pageVms = function (options, onPage, callback) {
+    assert.object(options, 'options');
+    assert.object(options.filter, 'options.filter');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.optionalNumber(options.offset, 'options.offset');
+    assert.optionalString(options.sort, 'options.sort');
+    assert.func(onPage, 'onPage');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var offset = options.offset || 0;
+    var total;
+    var done = false;
+
+    async.whilst(
+        function () { return !done; },
+        function getPage(next) {
+            var params = {
+                query: options.filter.query,
+                offset: offset,
+                limit: options.limit || VMAPI_PAGE_SIZE
+            };
+            if (options.sort) {
+                params.sort = options.sort;
+            }
+            log.debug({params: params}, 'listVms page');
+            self.vmapi.listVms(params, function (err, vms, req, res) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                if (total === undefined && res && res.headers &&
+                    res.headers['x-joyent-resource-count'] !== undefined)
+                {
+                    total = Number(res.headers['x-joyent-resource-count']);
+                }
+                offset += vms.length;
+                if (options.limit || vms.length < params.limit) {
+                    done = true;
+                }
+                onPage(vms.filter(options.filter.match));
+                next();
+            });
+        },
+        function (err) {
+            callback(err, total);
+        }
+    );
+};
+
+
+/**
+ * List all VMs matching the given filter, paging through VMAPI as needed.
+ *
+ * @param filter {Object} A compiled filter from `compileVmFilter`.
+ * @param callback {Function} `function (err, vms)`
+ */
+CLI.prototype.listAllVms = function (filter, callback) {
+    var all = [];
+    this.pageVms({filter: filter}, function (vms) {
+        all = all.concat(vms);
+    }, function (err) {
+        callback(err, err ? undefined : all);
+    });
+};
+
+
+/**
+ * Poll the given workflow job (via VMAPI) until it has finished, printing a
+ * line for each task as it completes. Transient VMAPI errors are retried
+ * (see `JOB_POLL_RETRIES`). It is an error if the job hasn't finished
+ * within `JOB_WAIT_TIMEOUT`.
+ *
+ * @param jobUuid {String}
+ * @param options {Object} Optional.
+ *      - `quiet` {Boolean} Don't print task progress.
+ * @param callback {Function} `function (err, job)`. Note that a failed job
+ *      is *not* an error here: check `job.execution`.
+ */
+CLI.prototype.waitForJob = function (jobUuid, options, callback) {
+    if (callback === undefined) {
+        callback = options;
+        options = {};
+    }
+    assert.string(jobUuid, 'jobUuid');
+    assert.object(options, 'options');
+    assert.optionalBool(options.quiet, 'options.quiet');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var numTasksShown = 0;
+    var numErrs = 0;
+    var deadline = Date.now() + JOB_WAIT_TIMEOUT;
+
+    function poll() {
+        self.vmapi.getJob(jobUuid, function (err, job) {
+            if (err) {
+                var transient = (!err.statusCode || err.statusCode >= 500);
+                if (!transient || numErrs >= JOB_POLL_RETRIES) {
+                    return callback(err.body ? new errors.APIError(err)
+                        : new errors.InternalError({cause: err,
+                            source: 'vmapi', message: sprintf(
+                            'could not get job %s: %s', jobUuid,
+                            err.message)}));
+                }
+                numErrs++;
+                log.debug({err: err, jobUuid: jobUuid, numErrs: numErrs},
+                    'getJob error (retrying)');
+                return setTimeout(poll,
+                    JOB_POLL_INTERVAL * Math.pow(2, numErrs));
+            }
+            numErrs = 0;
+            var results = (options.quiet ? [] : job.chain_results || []);
+            for (; numTasksShown < results.length; numTasksShown++) {
+                p('    %s', taskResultLine(results[numTasksShown]));
+            }
+            if (job.execution !== 'queued' && job.execution !== 'running') {
+                return callback(null, job);
+            } else if (Date.now() >= deadline) {
+                return callback(new errors.InternalError({
+                    message: sprintf('job %s has not finished after %s ' +
+                        '(it is still %s)', jobUuid,
+                        humanDurationFromMs(JOB_WAIT_TIMEOUT), job.execution)
+                }));
+            }
+            setTimeout(poll, JOB_POLL_INTERVAL);
+        });
+    }
+
+    poll();
+};
+
+
+/**
+ * Common handling for a VMAPI job response: with `opts.wait`, wait for the
+ * job to finish and report its outcome and the resulting VM state.
+ *
+ * @param opts {Object} The subcommand options.
+ * @param job {Object} The VMAPI job response (with `job_uuid` and
+ *      `vm_uuid`).
+ * @param callback {Function} `function (err)` where `err` is a
+ *      JobFailedError if the job did not succeed.
+ */
+CLI.prototype.finishJob = function (opts, job, callback) {
+    assert.object(opts, 'opts');
+    assert.object(job, 'job');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    if (!opts.wait) {
+        return callback();
+    }
+
+    var start = Date.now();
+    p('Waiting for job %s', job.job_uuid);
+    self.waitForJob(job.job_uuid, function (err, finished) {
+        if (err) {
+            return callback(err);
+        }
+        var elapsed = Math.round((Date.now() - start) / 1000);
+        if (finished.execution !== 'succeeded') {
+            return callback(new errors.JobFailedError(finished));
+        }
+        p('Job %s succeeded (elapsed %ds)', job.job_uuid, elapsed);
+        self.vmapi.getVm({uuid: job.vm_uuid}, function (vmErr, vm) {
+            if (vmErr) {
+                return callback(new errors.APIError(vmErr));
+            }
+            p('VM %s is %s', vm.uuid, vm.state);
+            callback();
+        });
+    });
+};
+
+
+/**
+ * Resolve a VM name -- a VM UUID, a unique UUID prefix or a unique alias --
+ * to a VM. Destroyed and failed VMs are only matched by full UUID. If the
+ * top-level `--owner` option was given, only that user's VMs are matched.
+ *
+ * @param name {String}
+ * @param callback {Function} `function (err, vm)`
+ */
+CLI.prototype.resolveVm = function (name, callback) {
+    assert.string(name, 'name');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var owner = self.opts.owner;
+
+    if (UUID_RE.test(name)) {
+        return self.vmapi.getVm({uuid: name}, function (err, vm) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            } else if (owner && vm.owner_uuid !== owner) {
+                return callback(new errors.NoSuchVmError(name));
+            }
+            callback(null, vm);
+        });
+    }
+
+    var nameFilter = new filters.EqualityFilter(
+        {attribute: 'alias', value: name});
+    if (/^[0-9a-f-]+$/.test(name)) {
+        nameFilter = new filters.OrFilter({filters: [
+            nameFilter,
+            new filters.SubstringFilter({attribute: 'uuid', initial: name})
+        ]});
+    }
+    var and = activeStateFilter();
+    and.addFilter(nameFilter);
+    if (owner) {
+        and.addFilter(new filters.EqualityFilter(
+            {attribute: 'owner_uuid', value: owner}));
+    }
+    var filter = {
+        query: and.toString(),
+        match: function () { return true; },
+        clientOnly: []
+    };
+
+    self.listAllVms(filter, function (err, vms) {
+        if (err) {
+            return callback(err);
+        } else if (vms.length === 0) {
+            return callback(new errors.NoSuchVmError(name));
+        } else if (vms.length > 1) {
+            return callback(new errors.AmbiguousVmError(name, vms));
+        }
+        callback(null, vms[0]);
+    });
+};
+
+
+/**
+ * Resolve a VM name (see `resolveVm`) to a VM UUID. A full UUID is used
+ * as is (without a VMAPI lookup) unless `--owner` was given.
+ *
+ * @param name {String}
+ * @param callback {Function} `function (err, uuid)`
+ */
+CLI.prototype.resolveVmUuid = function (name, callback) {
+    if (UUID_RE.test(name) && !this.opts.owner) {
+        return callback(null, name);
+    }
+    this.resolveVm(name, function (err, vm) {
+        callback(err, vm && vm.uuid);
+    });
+};
+
+
+/**
+ * Determine the target VMs for a bulk subcommand from its args. These are
+ * either one or more VM names (see `resolveVm`), filter terms (as for
+ * `list`), or "-" to read whitespace-separated VM names from stdin.
+ *
+ * @param args {Array} of string args.
+ * @param callback {Function} `function (err, vms)`
+ */
+CLI.prototype.getTargetVms = function (args, callback) {
+    assert.arrayOfString(args, 'args');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var terms = args.filter(isFilterTerm);
+    if (terms.length > 0) {
+        if (terms.length !== args.length) {
+            return callback(new errors.UsageError(sprintf(
+                'cannot mix filter terms and VM UUIDs: "%s"',
+                args.join(' '))));
+        }
+        var filter;
+        try {
+            filter = compileVmFilter(args);
+        } catch (filterErr) {
+            return callback(filterErr);
+        }
+        return self.listAllVms(filter, callback);
+    }
+
+    function getVms(uuids) {
+        async.mapLimit(uuids, BULK_CONCURRENCY, function (uuid, next) {
+            self.resolveVm(uuid, next);
+        }, callback);
+    }
+
+    if (args.length === 1 && args[0] === '-') {
+        readStdin(function (stdin) {
+            var uuids = stdin.split(/\s+/).filter(function (u) {
+                return u.length > 0;
+            });
+            getVms(uuids);
+        });
+    } else {
+        getVms(args);
+    }
+};
+
+
+/**
+ * Show the given VMs (UUID, alias, owner login and state) and ask for
+ * confirmation of an action on them, unless `opts.yes`.
+ *
+ * @param action {String} The action as a sprintf template with "%s" for
+ *      the VMs, e.g. 'roll back %s to snapshot "foo"'.
+ * @param vms {Array} of VM objects.
+ * @param opts {Object} The subcommand options: `yes`.
+ * @param callback {Function} `function (err)`. Not confirming is an error.
+ */
+CLI.prototype.confirmVmAction = function (action, vms, opts, callback) {
+    assert.string(action, 'action');
+    assert.arrayOfObject(vms, 'vms');
+    assert.object(opts, 'opts');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    if (opts.yes) {
+        return callback();
+    }
+
+    var loginFromUuid = {};
+    async.series([
+        function getOwnerLogins(next) {
+            self.getUfdsClient(function (cErr, client) {
+                // Not fatal: owners are then shown by UUID.
+                if (cErr) {
+                    log.debug(cErr, 'could not connect to UFDS');
+                    return next();
+                }
+                vms.forEach(function (vm) {
+                    loginFromUuid[vm.owner_uuid] = vm.owner_uuid;
+                });
+                async.forEachLimit(Object.keys(loginFromUuid),
+                    BULK_CONCURRENCY, function (uuid, nextOwner) {
+                    client.getUser(uuid, function (err, user) {
+                        if (err) {
+                            log.debug(err, 'could not get user %s', uuid);
+                        } else {
+                            loginFromUuid[uuid] = user.login;
+                        }
+                        nextOwner();
+                    });
+                }, next);
+            });
+        },
+        function confirmIt(next) {
+            tabulate(vms.map(function (vm) {
+                return {
+                    uuid: vm.uuid,
+                    alias: vm.alias,
+                    owner: loginFromUuid[vm.owner_uuid] || vm.owner_uuid,
+                    state: vm.state
+                };
+            }), {
+                columns: 'uuid,alias,owner,state',
+                validFields: 'uuid,alias,owner,state'
+            });
+            if (!process.stdin.isTTY) {
+                return next(new errors.UsageError(sprintf(
+                    'refusing to %s without confirmation: use "-y"',
+                    sprintf(action, vms.length === 1 ? 'VM ' + vms[0].uuid
+                        : vms.length + ' VMs'))));
+            }
+            var prompt = sprintf(action, vms.length === 1 ? 'this VM'
+                : sprintf('these %d VMs', vms.length));
+            confirm(sprintf('\n%s%s? [y/N] ', prompt[0].toUpperCase(),
+                prompt.slice(1)), function (err, confirmed) {
+                if (err) {
+                    return next(err);
+                } else if (!confirmed) {
+                    return next(new errors.UsageError('aborted'));
+                }
+                next();
+            });
+        }
+    ], function (err) {
+        callback(err);
+    });
+};
+
+
+/**
+ * Resolve the VM for a guarded single-VM action: refuse it if it is
+ * protected (see `protectionError`), then confirm the action (see
+ * `confirmVmAction`).
+ *
+ * @param name {String} A VM UUID, alias or UUID prefix.
+ * @param action {String} The action as a sprintf template with "%s" for
+ *      the VM.
+ * @param opts {Object} The subcommand options: `force` and `yes`.
+ * @param callback {Function} `function (err, vm)`
+ */
+CLI.prototype.resolveGuardedVm = function (name, action, opts, callback) {
+    var self = this;
+    self.resolveVm(name, function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
+        }
+        var pErr = protectionError([vm], opts.force);
+        if (pErr) {
+            return callback(pErr);
+        }
+        self.confirmVmAction(action, [vm], opts, function (err) {
+            callback(err, err ? undefined : vm);
+        });
+    });
+};
+
+
+/**
+ * Run the given action (a key of `VM_ACTIONS`) on each of the given VMs,
+ * with bounded concurrency, and print a table of the results.
+ *
+ * If the action is destructive and there is more than one VM, or the action
+ * is guarded, a summary is printed and confirmation is required (unless
+ * `opts.yes`). Guarded actions refuse protected VMs unless `opts.force`.
+ *
+ * @param action {String}
+ * @param opts {Object} The subcommand options: `wait`, `yes`, `force`,
+ *      `concurrency`.
+ * @param vms {Array} of VM objects.
+ * @param params {Object} Extra params for the VMAPI call. Optional.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype.runVmAction = function (action, opts, vms, params, callback) {
+    if (callback === undefined) {
+        callback = params;
+        params = {};
+    }
+    assert.string(action, 'action');
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(vms, 'vms');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var info = VM_ACTIONS[action];
+    assert.object(info, 'VM_ACTIONS.' + action);
+
+    if (vms.length === 0) {
+        return callback(new errors.UsageError('no matching VMs'));
+    }
+
+    async.series([
+        function confirmAction(next) {
+            if (info.guarded) {
+                var pErr = protectionError(vms, opts.force);
+                if (pErr) {
+                    return next(pErr);
+                }
+            } else if (!info.destructive || vms.length === 1) {
+                return next();
+            }
+            self.confirmVmAction(action + ' %s', vms, opts, next);
+        },
+        function runAction(next) {
+            var results = [];
+            async.eachLimit(vms, opts.concurrency || BULK_CONCURRENCY,
+                function (vm, nextVm) {
+                var result = {uuid: vm.uuid, alias: vm.alias};
+                results.push(result);
+                var vmParams = objMerge({uuid: vm.uuid}, params);
+                self.vmapi[info.method](vmParams, function (err, job) {
+                    if (err) {
+                        result.result = 'error: ' +
+                            (err.body ? err.body.message : err.message);
+                        return nextVm();
+                    }
+                    result.job_uuid = job.job_uuid;
+                    if (!opts.wait) {
+                        result.result = 'job created';
+                        return nextVm();
+                    }
+                    self.waitForJob(job.job_uuid, {quiet: true},
+                        function (wErr, finished) {
+                        if (wErr) {
+                            result.result = 'error: ' + wErr.message;
+                        } else if (finished.execution !== 'succeeded') {
+                            result.result = (new errors.JobFailedError(
+                                finished)).message;
+                        } else {
+                            result.result = finished.execution;
+                        }
+                        nextVm();
+                    });
+                });
+            }, function () {
+                tabulate(results, {
+                    columns: 'uuid,alias,job_uuid,result',
+                    validFields: 'uuid,alias,job_uuid,result'
+                });
+                var numFailed = results.filter(function (r) {
+                    return (r.result !== 'job created' &&
+                        r.result !== 'succeeded');
+                }).length;
+                if (numFailed) {
+                    return next(new errors.BulkActionError(action,
+                        numFailed, results.length));
+                }
+                next();
+            });
+        }
+    ], function (err) {
+        callback(err);
+    });
+};
+
+
+/**
+ * Shared implementation of the bulk-capable action subcommands (stop,
+ * start, reboot, snapshot and delete). A single VM UUID arg keeps the
+ * original single-VM output.
+ */
+CLI.prototype._doVmAction = function (action, opts, args, params, callback) {
+    var self = this;
+    var info = VM_ACTIONS[action];
+
+    if (args.length === 0) {
+        return callback(new errors.UsageError(
+            'no VM UUIDs or filter terms given'));
+    } else if (args.length === 1 && args[0] !== '-' &&
+        !isFilterTerm(args[0]))
+    {
+        var vm;
+        return async.series([
+            function resolveIt(next) {
+                function onVm(err, vm_) {
+                    vm = vm_;
+                    next(err);
+                }
+                if (info.guarded) {
+                    self.resolveGuardedVm(args[0], action + ' %s', opts,
+                        onVm);
+                } else {
+                    self.resolveVm(args[0], onVm);
+                }
+            },
+            function runAction(next) {
+                var vmParams = objMerge({uuid: vm.uuid}, params);
+                self.vmapi[info.method](vmParams, function (err, job) {
+                    if (err) {
+                        return next(new errors.APIError(err));
+                    }
+                    p('%s job %s for VM %s created', info.title,
+                        job['job_uuid'], job['vm_uuid']);
+                    self.finishJob(opts, job, next);
+                });
+            }
+        ], function (err) {
+            callback(err);
+        });
+    }
+
+    self.getTargetVms(args, function (err, vms) {
+        if (err) {
+            return callback(err);
+        }
+        self.runVmAction(action, opts, vms, params, callback);
+    });
+};
+
+
+CLI.prototype.do_get = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+    this.resolveVm(args[0], function (err, vm) {
+        if (err) {
+            return callback(err);
+        }
+        p(JSON.stringify(vm, null, 2));
+        return callback();
+    });
+};
+CLI.prototype.do_get.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+CLI.prototype.do_get.help = (
+    'Get a VM.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} get [<options>] <uuid>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'This emits in JSON by default.\n'
+);
+
+CLI.prototype.do_ips = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+    this.resolveVm(args[0], function (err, vm) {
+        if (err) {
+            return callback(err);
+        }
+
+        var ips = [];
+        if (!vm.hasOwnProperty('nics') || vm.nics.length === 0) {
+            return callback();
+        }
+        for (var n in vm.nics) {
+            var nic = vm.nics[n];
+            if (nic.hasOwnProperty('ip') && ips.indexOf(nic.ip) === -1) {
+                if (opts.primary && nic.primary) {
+                    p(nic.ip);
+                    return callback();
+                }
 
                 ips.push(nic.ip);
             }
         }
-
-        p(ips.join('\n'));
-        return callback();
-    });
+
+        p(ips.join('\n'));
+        return callback();
+    });
+};
+CLI.prototype.do_ips.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['primary', 'p'],
+        type: 'bool',
+        help: 'Output the primary IP only.'
+    }
+];
+CLI.prototype.do_ips.help = (
+    'Get a list of a VM\'s IPs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} ips <uuid>       output all IPs\n' +
+    '     {{name}} ips -p <uuid>    output the primary IP only\n'
+);
+
+CLI.prototype.do_diff = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+
+    /*
+     * Compare the fields that both VMAPI and vmadm have: VMAPI adds some
+     * of its own (e.g. "ram") and drops some of vmadm's (e.g. "zonepath").
+     */
+    function diffVm(vm, vmadmVm) {
+        var a = flattenObject(vm);
+        var b = flattenObject(vmadmVm);
+        var fields = Object.keys(a);
+        Object.keys(b).forEach(function (field) {
+            if (!a.hasOwnProperty(field)) {
+                fields.push(field);
+            }
+        });
+        var diffs = [];
+        fields.sort().forEach(function (field) {
+            var top = field.split('.')[0];
+            if (!vm.hasOwnProperty(top) || !vmadmVm.hasOwnProperty(top)) {
+                return;
+            }
+            if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+                diffs.push({field: field, vmapi: a[field], vmadm: b[field]});
+            }
+        });
+        return diffs;
+    }
+
+    function printDiffs(vm, diffs) {
+        if (opts.json) {
+            p(JSON.stringify(diffs, null, 2));
+        } else if (diffs.length === 0) {
+            p('VM %s: VMAPI matches vmadm on server %s', vm.uuid,
+                vm.server_uuid);
+        } else {
+            tabulate(diffs.map(function (d) {
+                return {
+                    field: d.field,
+                    vmapi: (d.vmapi === undefined
+                        ? '-' : JSON.stringify(d.vmapi)),
+                    vmadm: (d.vmadm === undefined
+                        ? '-' : JSON.stringify(d.vmadm))
+                };
+            }), {
+                columns: 'field,vmapi,vmadm',
+                validFields: 'field,vmapi,vmadm'
+            });
+        }
+    }
+
+    var vm, vmadmVm, diffs;
+    async.series([
+        function getVmapiVm(next) {
+            self.resolveVm(args[0], function (err, vm_) {
+                vm = vm_;
+                next(err);
+            });
+        },
+        function getVmadmVm(next) {
+            if (!vm.server_uuid) {
+                return next(new errors.UsageError(sprintf(
+                    'VM %s has no server_uuid (state %s)', vm.uuid,
+                    vm.state)));
+            }
+            self.vmadmGet(vm, function (err, vmadmVm_) {
+                vmadmVm = vmadmVm_;
+                next(err);
+            });
+        },
+        function diff(next) {
+            diffs = diffVm(vm, vmadmVm);
+            if (!opts.sync || diffs.length === 0) {
+                printDiffs(vm, diffs);
+            }
+            next();
+        },
+        function syncVmapi(next) {
+            if (!opts.sync || diffs.length === 0) {
+                return next();
+            }
+            if (!opts.json) {
+                printDiffs(vm, diffs);
+                p('\nRefreshing VMAPI record for VM %s', vm.uuid);
+            }
+            self.vmapi.getVm({uuid: vm.uuid, sync: true},
+                function (err, synced) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                var remaining = diffVm(synced, vmadmVm);
+                if (opts.json) {
+                    p(JSON.stringify({before: diffs, after: remaining},
+                        null, 2));
+                } else if (remaining.length === 0) {
+                    p('VM %s: VMAPI now matches vmadm', vm.uuid);
+                } else {
+                    p('VM %s: remaining differences after refresh:',
+                        vm.uuid);
+                    printDiffs(synced, remaining);
+                }
+                next();
+            });
+        }
+    ], callback);
+};
+CLI.prototype.do_diff.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['sync', 's'],
+        type: 'bool',
+        help: 'If there are differences, have VMAPI refresh its record ' +
+            'of the VM from the compute node.'
+    }
+];
+CLI.prototype.do_diff.help = (
+    'Compare a VM\'s VMAPI record against "vmadm get" on its server.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} diff [<options>] <uuid>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Fields that only one of VMAPI or vmadm has are not compared. Nested\n' +
+    'fields are shown as dotted paths, e.g. "nics.0.ip".\n'
+);
+
+
+CLI.prototype.do_exec = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length < 2) {
+        return callback(new errors.UsageError(
+            'a VM and a command are required'));
+    }
+
+    var command = args.slice(1).join(' ');
+    self.resolveVm(args[0], function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
+        } else if (vm.brand === 'kvm') {
+            return callback(new errors.UsageError(sprintf(
+                'cannot exec in KVM VM %s: zlogin would only reach its ' +
+                'host zone', vm.uuid)));
+        } else if (vm.state !== 'running') {
+            return callback(new errors.UsageError(sprintf(
+                'VM %s is not running (state "%s")', vm.uuid, vm.state)));
+        } else if (!vm.server_uuid) {
+            return callback(new errors.UsageError(sprintf(
+                'VM %s has no server_uuid', vm.uuid)));
+        }
+
+        // zlogin runs its args with the zone's shell, so pass one string.
+        var script = sprintf('#!/bin/bash\n/usr/sbin/zlogin -Q %s \'%s\'\n',
+            vm.uuid, command.replace(/'/g, '\'\\\'\''));
+        self.getUrClient(function (urErr, ur) {
+            if (urErr) {
+                return callback(urErr);
+            }
+            ur.exec({
+                script: script,
+                server_uuid: vm.server_uuid,
+                timeout: opts.timeout * 1000,
+                env: {}
+            }, function (err, result) {
+                if (err) {
+                    return callback(new errors.InternalError({
+                        cause: err,
+                        source: 'ur',
+                        message: sprintf('exec on server %s failed: %s',
+                            vm.server_uuid, err.message)
+                    }));
+                }
+                if (opts.json) {
+                    p(JSON.stringify({
+                        vm_uuid: vm.uuid,
+                        server_uuid: vm.server_uuid,
+                        command: command,
+                        exit_status: result.exit_status,
+                        stdout: result.stdout,
+                        stderr: result.stderr
+                    }, null, 2));
+                    return callback();
+                }
+                process.stdout.write(result.stdout);
+                process.stderr.write(result.stderr);
+                if (result.exit_status !== 0) {
+                    return callback(new errors.CommandExitError(command,
+                        result.exit_status));
+                }
+                callback();
+            });
+        });
+    });
+};
+CLI.prototype.do_exec.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output: the command\'s exit_status, stdout and stderr.'
+    },
+    {
+        names: ['timeout', 'T'],
+        type: 'positiveInteger',
+        'default': 60,
+        help: 'Seconds to wait for the command to finish. Default is 60.',
+        helpArg: 'N'
+    }
+];
+CLI.prototype.do_exec.help = (
+    'Run a command in a VM, with zlogin on its compute node.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} exec [<options>] <uuid> -- <command>...\n' +
+    '\n' +
+    '{{options}}\n' +
+    'The command is run with the VM\'s shell via the Ur agent on the VM\'s\n' +
+    'server. Its stdout and stderr are printed and this exits with its\n' +
+    'exit status. With "-j" the exit status, stdout and stderr are\n' +
+    'printed as JSON and this exits zero. KVM VMs are not supported.\n' +
+    '\n' +
+    'Examples:\n' +
+    '\n' +
+    '    sdc-vmadm exec <uuid> -- svcs -xv\n' +
+    '    sdc-vmadm exec -j web0 -- \'cat /etc/release | head -1\'\n'
+);
+
+CLI.prototype.do_history = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+
+    var since;
+    if (opts.since) {
+        try {
+            since = dateFromTimeArg(opts.since).toISOString();
+        } catch (timeErr) {
+            return callback(timeErr);
+        }
+    }
+
+    // Summarize a job, using task times where the job doesn't have them.
+    function jobInfo(job) {
+        var results = job.chain_results || [];
+        var started = (results.length && results[0].started_at) ||
+            job.created_at;
+        var finished;
+        if (job.execution !== 'queued' && job.execution !== 'running' &&
+            results.length)
+        {
+            finished = results[results.length - 1].finished_at;
+        }
+        var failed = results.filter(function (r) { return r.error; });
+        var info = {
+            uuid: job.uuid,
+            name: job.name,
+            execution: job.execution,
+            created_at: job.created_at,
+            started: started,
+            finished: finished,
+            duration: (started && finished ? humanDurationFromMs(
+                new Date(finished) - new Date(started)) : undefined),
+            failed_task: (failed.length
+                ? taskResultLine(failed[failed.length - 1]) : undefined)
+        };
+        if (opts.verbose) {
+            info.chain_results = results;
+        }
+        return info;
+    }
+
+    self.resolveVmUuid(args[0], function (rErr, uuid) {
+        if (rErr) {
+            return callback(rErr);
+        }
+        self.vmapi.listJobs({vm_uuid: uuid}, function (err, jobs) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            jobs = jobs.map(jobInfo).filter(function (job) {
+                return (!since || job.created_at >= since);
+            });
+            sortItems(jobs, ['created_at']);
+
+            var tableOpts = {
+                columns: 'started,finished,name,execution,duration,' +
+                    'failed_task,uuid',
+                validFields: 'uuid,name,execution,created_at,started,' +
+                    'finished,duration,failed_task',
+                skipHeader: opts.H,
+                widths: {}
+            };
+            if (opts.json) {
+                p(JSON.stringify(jobs, null, 2));
+            } else if (!opts.verbose) {
+                tabulate(jobs, tableOpts);
+            } else {
+                // Line up the job rows separated by their tasks.
+                tableOpts.columns.split(',').forEach(function (c) {
+                    jobs.forEach(function (job) {
+                        tableOpts.widths[c] = Math.max(
+                            tableOpts.widths[c] || 0,
+                            cellFromValue(job[c], '-').length);
+                    });
+                });
+                jobs.forEach(function (job, i) {
+                    tabulate([job], objMerge(objCopy(tableOpts),
+                        {skipHeader: opts.H || i > 0}));
+                    job.chain_results.forEach(function (result) {
+                        var taskTime = '';
+                        if (result.started_at && result.finished_at) {
+                            taskTime = ' (' + humanDurationFromMs(
+                                new Date(result.finished_at) -
+                                new Date(result.started_at)) + ')';
+                        }
+                        p('    %s%s', taskResultLine(result), taskTime);
+                    });
+                });
+            }
+            callback();
+        });
+    });
+};
+CLI.prototype.do_history.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
+    },
+    {
+        names: ['since'],
+        type: 'string',
+        help: 'Only show jobs created since this time: a duration ago ' +
+            '(e.g. "12h") or a date.',
+        helpArg: 'TIME'
+    },
+    {
+        names: ['verbose', 'v'],
+        type: 'bool',
+        help: 'Include the task chain of each job.'
+    }
+];
+CLI.prototype.do_history.help = (
+    'Show the workflow jobs that have been run on a VM, oldest first.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} history [<options>] <uuid>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'The failed task (if any) is the last task with an error. Times are\n' +
+    'those of the first and last tasks of the job.\n'
+);
+
+CLI.prototype.do_list = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+
+    if (opts.json && (opts.format || opts.template)) {
+        return callback(new errors.UsageError(
+            'cannot use "-j" with "--format" or "--template"'));
+    } else if (opts.format && opts.template) {
+        return callback(new errors.UsageError(
+            'cannot use both "--format" and "--template"'));
+    } else if (opts.limit === 0) {
+        return callback(new errors.UsageError(
+            'invalid "--limit": must be greater than 0'));
+    }
+
+    var filter;
+    try {
+        filter = compileVmFilter(args);
+    } catch (filterErr) {
+        return callback(filterErr);
+    }
+    log.debug({query: filter.query, clientOnly: filter.clientOnly},
+        'list filter');
+    var columns = opts.long ? 'uuid,brand,ram,state,alias' : opts.o;
+    var sort = opts.s ? opts.s.split(',') : [];
+
+    // Catch bad fields before fetching what may be many pages of VMs.
+    try {
+        if (!opts.json && !opts.template && opts.format !== 'ndjson') {
+            validateFields(columns.split(','), VM_FIELDS, 'output');
+        }
+        validateFields(sort, VM_FIELDS, 'sort');
+    } catch (fieldErr) {
+        return callback(new errors.UsageError(fieldErr.message));
+    }
+
+    /*
+     * If VMAPI can do the sorting for us, then we can emit rows as each
+     * page arrives. Otherwise we need to gather all pages and sort them.
+     */
+    var serverSort;
+    if (sort.length <= 1) {
+        var sortField = sort[0] || 'create_timestamp';
+        var sortDir = 'asc';
+        if (sortField[0] === '-') {
+            sortDir = 'desc';
+            sortField = sortField.slice(1);
+        }
+        var sortInfo = FILTER_FIELDS[sortField];
+        if (sortInfo && sortInfo.server) {
+            serverSort = (sortInfo.attr || sortField) + '.' + sortDir;
+        }
+    }
+
+    var numShown = 0;
+    var widths = {};
+    var gathered = [];
+    function emit(vms) {
+        if (opts.json) {
+            vms.forEach(function (vm) {
+                var s = JSON.stringify(vm, null, 2).replace(/^/gm, '  ');
+                process.stdout.write((numShown === 0 ? '[\n' : ',\n') + s);
+                numShown++;
+            });
+        } else {
+            printItems(vms, {
+                format: opts.format,
+                template: opts.template,
+                skipHeader: opts.H || numShown > 0,
+                columns: columns,
+                sort: opts.s,
+                validFields: VM_FIELDS.join(','),
+                widths: widths
+            });
+            numShown += vms.length;
+        }
+    }
+
+    var pageOpts = {
+        filter: filter,
+        limit: opts.limit,
+        offset: opts.offset,
+        sort: serverSort
+    };
+    var emitErr;
+    this.pageVms(pageOpts, function onPage(vms) {
+        if (emitErr) {
+            return;
+        } else if (!serverSort) {
+            gathered = gathered.concat(vms);
+            return;
+        }
+        try {
+            emit(vms);
+        } catch (e) {
+            emitErr = e;
+        }
+    }, function (err, total) {
+        if (err) {
+            return callback(err);
+        }
+        if (!serverSort && !emitErr) {
+            try {
+                emit(gathered);
+            } catch (e) {
+                emitErr = e;
+            }
+        }
+        if (emitErr) {
+            return callback(emitErr instanceof errors.SdcError ? emitErr
+                : new errors.UsageError(emitErr.message));
+        }
+        if (opts.json) {
+            process.stdout.write(numShown === 0 ? '[]\n' : '\n]\n');
+        } else if (!opts.H && (!opts.format || opts.format === 'table') &&
+            !opts.template) {
+            /*
+             * VMAPI's total doesn't account for filter terms that are
+             * checked here, so isn't comparable with the number shown.
+             */
+            if (total !== undefined && filter.clientOnly.length === 0) {
+                console.error('Listed %d of %d VMs', numShown, total);
+            } else {
+                console.error('Listed %d VMs', numShown);
+            }
+        }
+        return callback();
+    });
+};
+CLI.prototype.do_list.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
+    },
+    {
+        names: ['o'],
+        type: 'string',
+        'default': 'uuid,brand,ram,state,alias',
+        help: 'Specify fields (columns) to output.',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['s'],
+        type: 'string',
+        'default': 'create_timestamp',
+        help: 'Sort on the given fields. Default is "create_timestamp".',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['long', 'l'],
+        type: 'bool',
+        help: 'Longer table output. Shortcut for ' +
+            '"-o uuid,brand,ram,state,alias".'
+    },
+    {
+        names: ['format'],
+        type: 'string',
+        help: 'Output format: ' + OUTPUT_FORMATS.join(', ') + '. Default ' +
+            'is "table". "ndjson" prints one JSON object per VM.',
+        helpArg: 'FORMAT'
+    },
+    {
+        names: ['template'],
+        type: 'string',
+        help: 'Print each VM with this template, e.g. ' +
+            '"{{uuid}}\\t{{nics.0.ip}}".',
+        helpArg: 'TEMPLATE'
+    },
+    {
+        names: ['limit'],
+        type: 'positiveInteger',
+        help: 'Only list this many VMs (in a single VMAPI request). By ' +
+            'default all matching VMs are listed, paging through VMAPI ' +
+            'results.',
+        helpArg: 'N'
+    },
+    {
+        names: ['offset'],
+        type: 'positiveInteger',
+        help: 'Skip this many VMs from the start of the VMAPI results.',
+        helpArg: 'N'
+    }
+];
+CLI.prototype.do_list.help = (
+    'List and/or search VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    {{name}} list [<options>] <terms...>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Search terms are of the form <field><op><value>, all of which must\n' +
+    'match. Supported operators are "=", "!=", ">=", "<=", ">" and "<".\n' +
+    'String values may use "*" wildcards with "=" and "!=". Date fields\n' +
+    '(create_timestamp, last_modified, destroyed) take a date or a\n' +
+    'duration ago, e.g. "2w" is two weeks ago (s, m, h, d and w are\n' +
+    'supported). Only active VMs (i.e. not destroyed or failed) are\n' +
+    'listed unless a "state" term is given.\n' +
+    '\n' +
+    'The following fields are valid for filtering: uuid, owner_uuid,\n' +
+    'image_uuid, billing_id, server_uuid, brand, state, alias, zpool,\n' +
+    'ram, max_physical_memory, max_swap, max_lwps, quota, cpu_cap,\n' +
+    'cpu_shares, zfs_io_priority, create_timestamp, last_modified,\n' +
+    'destroyed, autoboot, firewall_enabled and tag.<name>.\n' +
+    '\n' +
+    'Terms that VMAPI cannot search on (e.g. "quota>10240") are applied\n' +
+    'to the results client-side.\n' +
+    '\n' +
+    'Output ("-o") and sort ("-s") fields may be dotted paths into nested\n' +
+    'fields, e.g. "nics.0.ip" or "tags.role".\n' +
+    '\n' +
+    'All matching VMs are listed, paging through VMAPI results and\n' +
+    'printing rows as they arrive. The VMAPI total for the search is\n' +
+    'printed to stderr for table output. Sorting on more than one field, or\n' +
+    'a field VMAPI cannot sort on, requires retrieving all pages first.\n' +
+    '\n' +
+    'Examples:\n' +
+    '\n' +
+    '    sdc-vmadm list brand=joyent\n' +
+    '    sdc-vmadm list ram=256\n' +
+    '    sdc-vmadm list brand=kvm state=running\n' +
+    '    sdc-vmadm list alias=web* ram>=4096\n' +
+    '    sdc-vmadm list create_timestamp>2w tag.role=db\n' +
+    '    sdc-vmadm list state!=running owner_uuid=<uuid>\n' +
+    '    sdc-vmadm list -o uuid,alias,nics.0.ip,tags.role --format csv\n' +
+    '    sdc-vmadm list --format ndjson brand=kvm\n'
+);
+
+
+CLI.prototype.do_watch = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+
+    // The number of refreshes for which a changed row stays highlighted.
+    var HIGHLIGHT_REFRESHES = 3;
+    // The number of recent transitions shown below the table.
+    var NUM_RECENT = 10;
+
+    var filter;
+    try {
+        filter = compileVmFilter(args);
+        validateFields(opts.o.split(','), VM_FIELDS, 'output');
+        validateFields(opts.s.split(','), VM_FIELDS, 'sort');
+    } catch (err) {
+        return callback(err instanceof errors.SdcError ? err
+            : new errors.UsageError(err.message));
+    }
+    var isTty = process.stdout.isTTY;
+    var interval = opts.interval * 1000;
+
+    var vmFromUuid = null;
+    var changedAt = {};     // refresh number of each VM's last change
+    var recent = [];        // recent transition lines
+    var refresh = 0;
+    var lastErr;
+
+    function transition(vm, from, to) {
+        var line = sprintf('%s  %s  %-20s  %s -> %s',
+            new Date().toISOString(), vm.uuid, vm.alias || '-', from, to);
+        if (isTty) {
+            recent.push(line);
+            recent = recent.slice(-NUM_RECENT);
+        } else {
+            p(line);
+        }
+        changedAt[vm.uuid] = refresh;
+    }
+
+    /*
+     * VMs that are no longer matched by the filter have usually been
+     * destroyed (active VMs only are matched by default). Look them up to
+     * report what happened.
+     */
+    function checkGoneVms(vms, cb) {
+        async.forEachLimit(vms, BULK_CONCURRENCY, function (vm, next) {
+            self.vmapi.getVm({uuid: vm.uuid}, function (err, current) {
+                if (err && err.statusCode !== 404) {
+                    log.debug(err, 'could not get VM %s', vm.uuid);
+                }
+                var state = (current ? current.state : 'gone');
+                transition(vm, vm.state, state === vm.state
+                    ? 'no longer matches' : state);
+                next();
+            });
+        }, cb);
+    }
+
+    function display(vms) {
+        if (!isTty) {
+            return;
+        }
+        process.stdout.write('\u001b[H\u001b[2J');
+        p('%s: %d VMs, every %ds (^C to stop)%s',
+            new Date().toISOString(), vms.length, opts.interval,
+            lastErr ? ' [' + lastErr.message + ']' : '');
+        p('');
+        tabulate(vms, {
+            columns: opts.o,
+            skipHeader: opts.H,
+            sort: opts.s,
+            validFields: VM_FIELDS.join(','),
+            highlight: function (vm) {
+                return (changedAt[vm.uuid] !== undefined &&
+                    refresh - changedAt[vm.uuid] < HIGHLIGHT_REFRESHES);
+            }
+        });
+        if (recent.length) {
+            p('');
+            recent.forEach(function (line) { p(line); });
+        }
+    }
+
+    function poll() {
+        refresh++;
+        self.listAllVms(filter, function (err, vms) {
+            if (err) {
+                /*
+                 * Only the first poll failing is fatal. After that, keep
+                 * watching through transient errors.
+                 */
+                if (vmFromUuid === null) {
+                    return callback(err);
+                }
+                lastErr = err;
+                if (!isTty) {
+                    console.error('%s  warning: %s', new Date().toISOString(),
+                        err.message);
+                }
+                return setTimeout(poll, interval);
+            }
+            lastErr = null;
+
+            var first = (vmFromUuid === null);
+            var prev = vmFromUuid || {};
+            vmFromUuid = {};
+            vms.forEach(function (vm) {
+                vmFromUuid[vm.uuid] = vm;
+                if (first) {
+                    if (!isTty) {
+                        p(sprintf('%s  %s  %-20s  %s',
+                            new Date().toISOString(), vm.uuid,
+                            vm.alias || '-', vm.state));
+                    }
+                } else if (!prev[vm.uuid]) {
+                    transition(vm, '(new)', vm.state);
+                } else if (prev[vm.uuid].state !== vm.state) {
+                    transition(vm, prev[vm.uuid].state, vm.state);
+                }
+            });
+            var goneVms = Object.keys(prev).filter(function (uuid) {
+                return !vmFromUuid[uuid];
+            }).map(function (uuid) {
+                return prev[uuid];
+            });
+            checkGoneVms(goneVms, function () {
+                display(vms);
+                setTimeout(poll, interval);
+            });
+        });
+    }
+
+    poll();
+};
+CLI.prototype.do_watch.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
+    },
+    {
+        names: ['o'],
+        type: 'string',
+        'default': 'uuid,alias,brand,server_uuid,state',
+        help: 'Specify fields (columns) to output.',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['s'],
+        type: 'string',
+        'default': 'alias',
+        help: 'Sort on the given fields. Default is "alias".',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['interval', 'i'],
+        type: 'positiveInteger',
+        'default': 5,
+        help: 'Seconds between refreshes. Default is 5.',
+        helpArg: 'N'
+    }
+];
+CLI.prototype.do_watch.help = (
+    'Watch the state of matching VMs, refreshing until interrupted.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    {{name}} watch [<options>] <terms...>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Search terms are as for "{{name}} list". VMAPI is polled at each\n' +
+    'interval. On a terminal, a table of the VMs is redrawn, rows whose\n' +
+    'state has just changed are highlighted, and recent transitions are\n' +
+    'listed below it. Otherwise, the VMs\' initial states and then each\n' +
+    'transition are printed as timestamped lines.\n' +
+    '\n' +
+    'Examples:\n' +
+    '\n' +
+    '    sdc-vmadm watch server_uuid=<uuid>\n' +
+    '    sdc-vmadm watch -i 2 alias=web* > transitions.log\n'
+);
+
+
+CLI.prototype.do_summary = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+
+    // The VM field to group on for each `--by` value.
+    var FIELD_FROM_BY = {
+        owner: 'owner_uuid',
+        server: 'server_uuid',
+        image: 'image_uuid',
+        brand: 'brand',
+        'package': 'billing_id'
+    };
+    var field = FIELD_FROM_BY[opts.by];
+    if (!field) {
+        return callback(new errors.UsageError(sprintf(
+            'invalid "--by" value "%s": must be one of %s', opts.by,
+            Object.keys(FIELD_FROM_BY).join(', '))));
+    }
+    var validFields = [field, 'name', 'vms', 'ram', 'quota', 'cpu_cap'];
+    var columns = opts.o || (opts.names ? validFields : validFields.filter(
+        function (f) { return f !== 'name'; })).join(',');
+
+    var filter;
+    try {
+        filter = compileVmFilter(args);
+        validateFields(columns.split(','), validFields, 'output');
+        validateFields(opts.s.split(','), validFields, 'sort');
+    } catch (err) {
+        return callback(err instanceof errors.SdcError ? err
+            : new errors.UsageError(err.message));
+    }
+
+    var groups = {};
+    var rows;
+    async.series([
+        function getVms(next) {
+            self.listAllVms(filter, function (err, vms) {
+                if (err) {
+                    return next(err);
+                }
+                vms.forEach(function (vm) {
+                    var key = vm[field];
+                    if (field === 'image_uuid' && !key && vm.disks &&
+                        vm.disks[0])
+                    {
+                        // KVM VMs have their image on the first disk.
+                        key = vm.disks[0].image_uuid;
+                    }
+                    key = key || '-';
+                    if (!groups[key]) {
+                        groups[key] = {};
+                        groups[key][field] = key;
+                        objMerge(groups[key],
+                            {vms: 0, ram: 0, quota: 0, cpu_cap: 0});
+                    }
+                    var group = groups[key];
+                    group.vms++;
+                    group.ram += (vm.ram || 0);
+                    group.quota += (vm.quota || 0);
+                    group.cpu_cap += (vm.cpu_cap || 0);
+                });
+                rows = Object.keys(groups).map(function (k) {
+                    return groups[k];
+                });
+                next();
+            });
+        },
+        function getOwnerLogins(next) {
+            if (!opts.names || field !== 'owner_uuid') {
+                return next();
+            }
+            self.getUfdsClient(function (cErr, client) {
+                if (cErr) {
+                    return next(new errors.InternalError({
+                        cause: cErr,
+                        source: 'ufds',
+                        message: 'could not connect: ' + cErr.message
+                    }));
+                }
+                async.forEachLimit(rows, BULK_CONCURRENCY,
+                    function (row, nextRow) {
+                    client.getUser(row.owner_uuid, function (err, user) {
+                        // Not fatal: the login is just shown as "-".
+                        if (err) {
+                            log.debug(err, 'could not get user %s',
+                                row.owner_uuid);
+                        } else {
+                            row.name = user.login;
+                        }
+                        nextRow();
+                    });
+                }, next);
+            });
+        },
+        function getHostnames(next) {
+            if (!opts.names || field !== 'server_uuid') {
+                return next();
+            }
+            self.cnapi.listServers(function (err, servers) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                var hostnameFromUuid = {};
+                servers.forEach(function (s) {
+                    hostnameFromUuid[s.uuid] = s.hostname;
+                });
+                rows.forEach(function (row) {
+                    row.name = hostnameFromUuid[row.server_uuid];
+                });
+                next();
+            });
+        },
+        function printSummary(next) {
+            if (opts.json) {
+                sortItems(rows, opts.s.split(','));
+                p(JSON.stringify(rows, null, 2));
+                return next();
+            }
+            tabulate(rows, {
+                columns: columns,
+                skipHeader: opts.H,
+                sort: opts.s,
+                validFields: validFields.join(',')
+            });
+            if (!opts.H) {
+                var total = {vms: 0, ram: 0, quota: 0, cpu_cap: 0};
+                rows.forEach(function (row) {
+                    Object.keys(total).forEach(function (k) {
+                        total[k] += row[k];
+                    });
+                });
+                console.error('Total: %d VMs, %d MiB RAM, %d GiB quota, ' +
+                    '%d%% cpu_cap in %d groups', total.vms, total.ram,
+                    total.quota, total.cpu_cap, rows.length);
+            }
+            next();
+        }
+    ], callback);
+};
+CLI.prototype.do_summary.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['by', 'b'],
+        type: 'string',
+        'default': 'owner',
+        help: 'Group VMs by one of: owner, server, image, brand or ' +
+            'package. Default is "owner".',
+        helpArg: 'FIELD'
+    },
+    {
+        names: ['names'],
+        type: 'bool',
+        help: 'Add a "name" column: the owner login (from UFDS) when ' +
+            'grouping by owner, or the server hostname (from CNAPI) when ' +
+            'grouping by server.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
+    },
+    {
+        names: ['o'],
+        type: 'string',
+        help: 'Specify fields (columns) to output.',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['s'],
+        type: 'string',
+        'default': '-ram',
+        help: 'Sort on the given fields. Default is "-ram", i.e. by ' +
+            'descending RAM.',
+        helpArg: 'field1,...'
+    }
+];
+CLI.prototype.do_summary.help = (
+    'Summarize VM counts and usage, grouped by owner, server, etc.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    {{name}} summary [<options>] <terms...>\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Search terms are as for "{{name}} list" and select the VMs to\n' +
+    'summarize (by default all active VMs). Each group has the number of\n' +
+    'VMs ("vms") and the total "ram" (MiB), "quota" (GiB) and "cpu_cap"\n' +
+    '(percent of a CPU). The grand totals are printed to stderr for table\n' +
+    'output.\n' +
+    '\n' +
+    'Examples:\n' +
+    '\n' +
+    '    sdc-vmadm summary --names\n' +
+    '    sdc-vmadm summary --by server --names -s name\n' +
+    '    sdc-vmadm summary --by package -s -vms brand=kvm\n'
+);
+
+
+/**
+ * Validate the given CreateVm payload (see `validateVmPayload`) unless
+ * `opts.no_validate` and, unless `opts.dry_run`, create the VM.
+ *
+ * @param data {Object} The CreateVm payload.
+ * @param opts {Object} The subcommand options: `dry_run`, `no_validate`
+ *      and `wait`.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype.createVm = function (data, opts, callback) {
+    var self = this;
+    async.series([
+        function validate(next) {
+            if (opts.no_validate) {
+                return next();
+            }
+            self.validateVmPayload(data, function (err) {
+                if (err) {
+                    return next(err);
+                } else if (opts.dry_run) {
+                    p('VM payload is valid (dry run, not creating the VM)');
+                }
+                next();
+            });
+        },
+        function createIt(next) {
+            if (opts.dry_run) {
+                return next();
+            }
+            self.vmapi.createVm(data, function (err, job) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                p('VM %s (job "%s") created', job['vm_uuid'], job['job_uuid']);
+                self.finishJob(opts, job, next);
+            });
+        }
+    ], function (err) {
+        callback(err);
+    });
+};
+
+
+CLI.prototype.do_create = function (subcmd, opts, args, callback) {
+    var self = this;
+
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (opts.dry_run && opts.no_validate) {
+        return callback(new errors.UsageError(
+            'cannot use both "--dry-run" and "--no-validate"'));
+    }
+
+    /*
+     * With `-i`, fields with a `pick` function are chosen from a list of
+     * candidates from the relevant API instead of typed in.
+     */
+    var fields = [
+        {
+            name: 'owner_uuid',
+            prompt: true
+        },
+        {
+            name: 'brand',
+            prompt: true,
+            description: 'One of "joyent-minimal", "joyent", "kvm" or "sngl"'
+        },
+        {
+            name: 'image_uuid',
+            prompt: true,
+            pick: pickImage
+        },
+        {
+            name: 'billing_id',
+            prompt: true,
+            description: 'SDC Package UUID',
+            pick: pickPackage
+        },
+        {
+            name: 'networks',
+            prompt: true,
+            json: true,
+            description: 'JSON array',
+            pick: pickNetworks
+        }
+    ];
+
+    function readField(field, default_, cb) {
+        if (cb === undefined) {
+            cb = default_;
+            default_ = undefined;
+        }
+        assert.object(field, 'field');
+        assert.func(cb);
+
+        var prompt;
+        if (field.description) {
+            prompt = field.name + ' (' + field.description + '):';
+        } else {
+            prompt = field.name + ':';
+        }
+        //TODO: 'required', don't allow empty string
+        var readOpts = {
+            prompt: prompt,
+            silent: field.hidden,
+            'default': default_
+        };
+
+        read(readOpts, function (rErr, val) {
+            if (rErr)
+                return cb(rErr);
+            val = val.trim();
+            if (field.json) {
+                try {
+                    val = JSON.parse(val);
+                } catch (parseErr) {
+                    cb(parseErr);
+                }
+            }
+
+            cb(null, val);
+        });
+    }
+
+    /*
+     * Active images usable by the owner with the chosen brand. Defaults to
+     * the most recently published.
+     */
+    function pickImage(field, default_, cb) {
+        self.imgapi.listImages({state: 'active'}, function (err, images) {
+            if (err) {
+                return cb(new errors.APIError(err));
+            }
+            var types = IMAGE_TYPES_FROM_BRAND[data.brand];
+            images = images.filter(function (img) {
+                var reqBrand = img.requirements && img.requirements.brand;
+                return ((!types || types.indexOf(img.type) !== -1) &&
+                    (!reqBrand || !data.brand || reqBrand === data.brand) &&
+                    (img.public !== false || img.owner === data.owner_uuid));
+            }).sort(function (a, b) {
+                return (a.published_at < b.published_at ? -1
+                    : (a.published_at > b.published_at ? 1 : 0));
+            });
+            pickFromList({
+                title: 'image_uuid',
+                rows: images.map(function (img) {
+                    return {
+                        value: img.uuid,
+                        uuid: img.uuid,
+                        name: img.name,
+                        version: img.version,
+                        type: img.type,
+                        published: (img.published_at || '').slice(0, 10)
+                    };
+                }),
+                columns: 'uuid,name,version,type,published',
+                defaultIndex: defaultIndex(images, 'uuid', data.image_uuid,
+                    images.length - 1)
+            }, cb);
+        });
+    }
+
+    // Active packages, smallest first. Defaults to the smallest.
+    function pickPackage(field, default_, cb) {
+        self.papi.list({active: true}, {}, function (err, pkgs) {
+            if (err) {
+                return cb(new errors.APIError(err));
+            }
+            pkgs.sort(function (a, b) {
+                return (a.max_physical_memory - b.max_physical_memory ||
+                    (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+            });
+            pickFromList({
+                title: 'billing_id',
+                rows: pkgs.map(function (pkg) {
+                    return {
+                        value: pkg.uuid,
+                        uuid: pkg.uuid,
+                        name: pkg.name,
+                        version: pkg.version,
+                        ram: pkg.max_physical_memory,
+                        quota: pkg.quota
+                    };
+                }),
+                columns: 'uuid,name,version,ram,quota',
+                defaultIndex: defaultIndex(pkgs, 'uuid', data.billing_id, 0)
+            }, cb);
+        });
+    }
+
+    // Networks provisionable by the owner. Defaults to "external".
+    function pickNetworks(field, default_, cb) {
+        var params = {};
+        if (data.owner_uuid) {
+            params.provisionable_by = data.owner_uuid;
+        }
+        self.napi.listNetworks(params, function (err, nets) {
+            if (err) {
+                return cb(new errors.APIError(err));
+            }
+            nets.sort(function (a, b) {
+                return (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0));
+            });
+            var current = (Array.isArray(data.networks) && data.networks[0]);
+            pickFromList({
+                title: 'networks',
+                rows: nets.map(function (net) {
+                    return {
+                        value: net.uuid,
+                        uuid: net.uuid,
+                        name: net.name,
+                        vlan_id: net.vlan_id,
+                        subnet: net.subnet
+                    };
+                }),
+                columns: 'uuid,name,vlan_id,subnet',
+                defaultIndex: defaultIndex(nets, 'uuid',
+                    current && (current.uuid || current),
+                    defaultIndex(nets, 'name', 'external')),
+                multiple: true
+            }, cb);
+        });
+    }
+
+    // The index of the item with the given field value, else `default_`.
+    function defaultIndex(items, field, value, default_) {
+        for (var i = 0; i < items.length; i++) {
+            if (value !== undefined && items[i][field] === value) {
+                return i;
+            }
+        }
+        return default_;
+    }
+
+    var data = {};
+    async.series([
+        function dataFromStdin(next) {
+            if (opts.i || opts.f || args.length > 0) {
+                return next();
+            }
+            var stdin = '';
+            process.stdin.resume();
+            process.stdin.on('data', function (chunk) {
+                stdin += chunk;
+            });
+            process.stdin.on('end', function () {
+                try {
+                    objMerge(data, JSON.parse(stdin));
+                    next();
+                } catch (ex) {
+                    next(new errors.UsageError(
+                        sprintf('invalid JSON data on stdin: %s', ex)));
+                }
+            });
+        },
+        function dataFromFile(next) {
+            if (!opts.f) {
+                return next();
+            } else if (opts.i) {
+                return next(new errors.UsageError(
+                    'cannot use both "-i" and "-f" options'));
+            } else if (args.length > 0) {
+                return next(new errors.UsageError(
+                    'cannot specify args and the "-f" option'));
+            }
+            fs.readFile(opts.f, function (rErr, content) {
+                try {
+                    objMerge(data, JSON.parse(content));
+                    next();
+                } catch (ex) {
+                    next(new errors.UsageError(
+                        sprintf('invalid JSON data in "%s": %s', opts.f, ex)));
+                }
+            });
+        },
+        function dataFromArgs(next) {
+            if (args.length === 0) {
+                return next();
+            }
+            for (var i = 0; i < args.length; i++) {
+                var arg = args[i];
+                var idx = arg.indexOf('=');
+                if (idx === -1) {
+                    return next(new errors.UsageError(sprintf(
+                        'invalid field arg "%s": must match ' +
+                        '"<field>=<value>"', arg)));
+                }
+                var field = arg.slice(0, idx);
+                var value = arg.slice(idx + 1);
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {}
+                data[field] = value;
+            }
+            next();
+        },
+        function dataFromPrompting(next) {
+            if (!opts.i) {
+                return next();
+            }
+            async.eachSeries(fields, function askField(field, nextField) {
+                if (!field.prompt && !opts.all) {
+                    return nextField();
+                }
+                var ask = (field.pick || readField);
+                ask(field, data[field.name], function (rfErr, val) {
+                    if (rfErr)
+                        return nextField(rfErr);
+                    if (val) {
+                        data[field.name] = val;
+                    }
+                    nextField();
+                });
+            }, next);
+        },
+        function createVm(next) {
+            self.createVm(data, opts, next);
+        }
+    ], callback);
 };
-CLI.prototype.do_ips.options = [
+CLI.prototype.do_create.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
     },
     {
-        names: ['primary', 'p'],
+        name: 'f',
+        type: 'string',
+        help: 'JSON file with user data.'
+    },
+    {
+        name: 'i',
         type: 'bool',
-        help: 'Output the primary IP only.'
-    }
+        help: 'Interactively prompt for fields. Only the following fields' +
+            'are prompted: owner_uuid, brand, image_uuid, billing_id and ' +
+            'networks. The image, package and networks are chosen from ' +
+            'lists from IMGAPI, PAPI and NAPI.'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Validate the VM payload, but do not create the VM.'
+    },
+    NO_VALIDATE_OPTION,
+    WAIT_OPTION
 ];
-CLI.prototype.do_ips.help = (
-    'Get a list of a VM\'s IPs.\n' +
+CLI.prototype.do_create.help = (
+    'Create a new VM.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} ips <uuid>       output all IPs\n' +
-    '     {{name}} ips -p <uuid>    output the primary IP only\n'
+    '   ...stdin... | {{name}} create            # 1. data as JSON on stdin\n' +
+    '   {{name}} create -f foo.json              # 2. data in JSON file\n' +
+    '   {{name}} create <field>=<value>...       # 3. all fields as args\n' +
+    '   {{name}} create -i [<field>=<value>...]  # 4. prompt for fields\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Before the VM is created, its owner (UFDS), image (IMGAPI), package\n' +
+    '(PAPI, "billing_id") and networks (NAPI) are checked. All problems\n' +
+    'found are reported together. If any of those APIs can\'t be reached,\n' +
+    'the VM is not created: use "--no-validate" to create it anyway.\n'
 );
 
-CLI.prototype.do_list = function (subcmd, opts, args, callback) {
+
+CLI.prototype.do_export = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
     }
 
-    var SEARCHABLE_FIELDS = {
-        uuid: true,
-        owner_uuid: true,
-        image_uuid: true,
-        billing_id: true,
-        server_uuid: true,
-        // tags: true,
-        brand: true,
-        state: true,
-        alias: true,
-        ram: true,
-        // create_timestamp: true,
-        max_physical_memory: true
-    };
-    var VALID_FIELDS = [
-        'uuid', 'owner_uuid', 'brand', 'server_uuid', 'billing_id', 'alias',
-        'ram', 'max_physical_memory', 'max_swap', 'quota', 'cpu_cap',
-        'cpu_shares', 'max_lwps', 'create_timestamp', 'destroyed',
-        'last_modified', 'state', 'zpool', 'zfs_io_priority',
-        'firewall_enabled', 'limit_priv'
-    ];
-    var searchOpts = { state: 'active' };
-
-    for (var i = 0; i < args.length; i++) {
-        var arg = args[i];
-        /* JSSTYLED */
-        var opParser = /^(.*?)\s*(=|==)\s*(.*?)$/;
-        var parsed = opParser.exec(arg);
-        if (!parsed) {
-            continue;
-        }
-        var field = parsed[1];
-        var value = parsed[3];
-        if (!field.match(/tag\.(.*)/) && !SEARCHABLE_FIELDS[field]) {
-            throw new Error(sprintf('unknown filter field: "%s"', field));
-        }
-        if (field === 'ram') {
-            field = 'max_physical_memory';
-        }
-        searchOpts[field] = value;
-
-    }
-
-    this.vmapi.listVms(searchOpts, function (err, vms) {
-        if (err) {
-            return callback(new errors.APIError(err));
-        }
-        if (opts.json) {
-            p(JSON.stringify(vms, null, 2));
-        } else {
-            tabulate(vms, {
-                skipHeader: opts.H,
-                columns: opts.long ? 'uuid,brand,ram,state,alias' : opts.o,
-                sort: opts.s,
-                validFields: VALID_FIELDS.join(',')
+    var vm;
+    var def;
+    async.series([
+        function getVm(next) {
+            self.resolveVm(args[0], function (err, vm_) {
+                vm = vm_;
+                next(err);
             });
+        },
+        function initDef(next) {
+            var imageUuid = vm.image_uuid ||
+                (vm.disks && vm.disks[0] && vm.disks[0].image_uuid);
+            def = {
+                v: EXPORT_FORMAT_VERSION,
+                exported: {
+                    vm_uuid: vm.uuid,
+                    datacenter: config.datacenter_name,
+                    time: new Date().toISOString()
+                },
+                alias: vm.alias,
+                brand: vm.brand,
+                owner: {uuid: vm.owner_uuid},
+                image: {uuid: imageUuid},
+                'package': {uuid: vm.billing_id},
+                networks: (vm.nics || []).map(function (nic) {
+                    return {
+                        uuid: nic.network_uuid,
+                        ip: nic.ip,
+                        primary: !!nic.primary
+                    };
+                }),
+                tags: vm.tags || {},
+                customer_metadata: vm.customer_metadata || {},
+                firewall_enabled: vm.firewall_enabled
+            };
+            next();
+        },
+        /*
+         * Lookups that fail only mean the definition has no name for that
+         * thing, so "import" can then only use the UUID.
+         */
+        function getNames(next) {
+            function warn(what, uuid, err) {
+                console.error('warning: could not get %s %s: %s', what, uuid,
+                    errMsg(err));
+            }
+            async.parallel([
+                function getOwner(nextLookup) {
+                    self.getUfdsClient(function (cErr, client) {
+                        if (cErr) {
+                            warn('owner', vm.owner_uuid, cErr);
+                            return nextLookup();
+                        }
+                        client.getUser(vm.owner_uuid, function (err, user) {
+                            if (err) {
+                                warn('owner', vm.owner_uuid, err);
+                            } else {
+                                def.owner.login = user.login;
+                            }
+                            nextLookup();
+                        });
+                    });
+                },
+                function getImage(nextLookup) {
+                    if (!def.image.uuid) {
+                        return nextLookup();
+                    }
+                    self.imgapi.getImage(def.image.uuid, function (err, img) {
+                        if (err) {
+                            warn('image', def.image.uuid, err);
+                        } else {
+                            def.image.name = img.name;
+                            def.image.version = img.version;
+                        }
+                        nextLookup();
+                    });
+                },
+                function getPackage(nextLookup) {
+                    if (!def['package'].uuid) {
+                        return nextLookup();
+                    }
+                    self.papi.get(def['package'].uuid, {},
+                        function (err, pkg) {
+                        if (err) {
+                            warn('package', def['package'].uuid, err);
+                        } else {
+                            def['package'].name = pkg.name;
+                            def['package'].version = pkg.version;
+                        }
+                        nextLookup();
+                    });
+                },
+                function getNetworks(nextLookup) {
+                    async.forEachSeries(def.networks, function (net, nextNet) {
+                        self.napi.getNetwork(net.uuid, function (err, n) {
+                            if (err) {
+                                warn('network', net.uuid, err);
+                            } else {
+                                net.name = n.name;
+                            }
+                            nextNet();
+                        });
+                    }, nextLookup);
+                }
+            ], next);
+        },
+        function printDef(next) {
+            p(JSON.stringify(def, null, 2));
+            next();
         }
-
-        return callback();
+    ], function (err) {
+        callback(err);
     });
 };
-CLI.prototype.do_list.options = [
+CLI.prototype.do_export.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    },
-    {
-        names: ['json', 'j'],
-        type: 'bool',
-        help: 'JSON output.'
-    },
-    {
-        names: ['H'],
-        type: 'bool',
-        help: 'Do not print table header row.'
-    },
-    {
-        names: ['o'],
-        type: 'string',
-        'default': 'uuid,brand,ram,state,alias',
-        help: 'Specify fields (columns) to output.',
-        helpArg: 'field1,...'
-    },
-    {
-        names: ['s'],
-        type: 'string',
-        'default': 'create_timestamp',
-        help: 'Sort on the given fields. Default is "create_timestamp".',
-        helpArg: 'field1,...'
-    },
-    {
-        names: ['long', 'l'],
-        type: 'bool',
-        help: 'Longer table output. Shortcut for ' +
-            '"-o uuid,brand,ram,state,alias".'
     }
 ];
-CLI.prototype.do_list.help = (
-    'List and/or search VMs.\n' +
+CLI.prototype.do_export.help = (
+    'Print a portable JSON definition of a VM, for "{{name}} import".\n' +
     '\n' +
     'Usage:\n' +
-    '    {{name}} list [<options>] <terms...>\n' +
+    '     {{name}} export [<options>] <uuid> > <file>\n' +
     '\n' +
     '{{options}}\n' +
-    'The search terms must be field=value pairs. The following fields are\n' +
-    'valid for filtering VMs and can also be used for sorting the output\n' +
-    'with the -s option as well: uuid, ram, max_physical_memory, \n' +
-    'owner_uuid, image_uuid, billing_id, server_uuid, brand, state, alias.\n' +
-    '\n' +
-    'Examples:\n' +
-    '\n' +
-    '    sdc-vmadm list brand=joyent\n' +
-    '    sdc-vmadm list ram=256\n' +
-    '    sdc-vmadm list brand=kvm state=running\n'
+    'The definition has the VM\'s alias, brand, tags, customer_metadata\n' +
+    'and firewall_enabled, and its owner, image, package and networks\n' +
+    'with both their UUIDs and their names (owner login, image and\n' +
+    'package name and version, network name).\n'
 );
 
 
-CLI.prototype.do_create = function (subcmd, opts, args, callback) {
+CLI.prototype.do_import = function (subcmd, opts, args, callback) {
     var self = this;
-    var vmapi = self.vmapi;
-
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    } else if (opts.dry_run && opts.no_validate) {
+        return callback(new errors.UsageError(
+            'cannot use both "--dry-run" and "--no-validate"'));
     }
 
-    var fields = [
-        {
-            name: 'owner_uuid',
-            prompt: true
+    var def;
+    var mappings = [];
+    var problems = [];
+    var data = {};
+
+    /*
+     * Find the local UUID for an exported thing: the same UUID if it
+     * exists here (e.g. the same DC, or UFDS replicated between DCs), else
+     * by name.
+     */
+    function remap(what, exported, getByUuid, getByName, cb) {
+        var mapping = {
+            what: what,
+            name: exported.name,
+            exported_uuid: exported.uuid
+        };
+        mappings.push(mapping);
+        function byName() {
+            if (!exported.name) {
+                problems.push(sprintf('%s %s not found and has no name',
+                    what, exported.uuid));
+                return cb();
+            }
+            getByName(exported, function (err, uuid) {
+                if (err || !uuid) {
+                    problems.push(sprintf('%s "%s" not found%s', what,
+                        exported.name, err ? ': ' + errMsg(err) : ''));
+                } else {
+                    mapping.uuid = uuid;
+                }
+                cb();
+            });
+        }
+        if (!exported.uuid) {
+            return byName();
+        }
+        getByUuid(exported.uuid, function (err) {
+            if (err) {
+                return byName();
+            }
+            mapping.uuid = exported.uuid;
+            cb();
+        });
+    }
+
+    async.series([
+        function readDef(next) {
+            function parse(content) {
+                try {
+                    def = JSON.parse(content);
+                } catch (ex) {
+                    return next(new errors.UsageError(sprintf(
+                        'invalid JSON in "%s": %s', args[0], ex)));
+                }
+                if (def.v !== EXPORT_FORMAT_VERSION ||
+                    !Array.isArray(def.networks))
+                {
+                    return next(new errors.UsageError(sprintf(
+                        '"%s" is not a VM definition from "%s export"',
+                        args[0], self.name)));
+                }
+                next();
+            }
+            if (args[0] === '-') {
+                return readStdin(parse);
+            }
+            fs.readFile(args[0], 'utf8', function (err, content) {
+                if (err) {
+                    return next(new errors.UsageError(err, sprintf(
+                        'could not read "%s": %s', args[0], err.message)));
+                }
+                parse(content);
+            });
         },
-        {
-            name: 'image_uuid',
-            prompt: true
+        function remapOwner(next) {
+            self.getUfdsClient(function (cErr, client) {
+                if (cErr) {
+                    return next(new errors.InternalError({
+                        cause: cErr,
+                        source: 'ufds',
+                        message: 'could not connect: ' + cErr.message
+                    }));
+                }
+                remap('owner', {uuid: def.owner.uuid, name: def.owner.login},
+                    function (uuid, cb) {
+                    client.getUser(uuid, cb);
+                }, function (exported, cb) {
+                    client.getUser(exported.name, function (err, user) {
+                        cb(err, user && user.uuid);
+                    });
+                }, next);
+            });
         },
-        {
-            name: 'brand',
-            prompt: true,
-            description: 'One of "joyent-minimal", "joyent", "kvm" or "sngl"'
+        function remapImage(next) {
+            remap('image', def.image, function (uuid, cb) {
+                self.imgapi.getImage(uuid, cb);
+            }, function (exported, cb) {
+                self.imgapi.listImages({name: exported.name,
+                    version: exported.version, state: 'active'},
+                    function (err, images) {
+                    cb(err, images && images[0] && images[0].uuid);
+                });
+            }, next);
         },
-        {
-            name: 'networks',
-            prompt: true,
-            json: true,
-            description: 'JSON array'
+        function remapPackage(next) {
+            remap('package', def['package'], function (uuid, cb) {
+                self.papi.get(uuid, {}, cb);
+            }, function (exported, cb) {
+                self.papi.list({name: exported.name, active: true}, {},
+                    function (err, pkgs) {
+                    pkgs = (pkgs || []).filter(function (pkg) {
+                        return (!exported.version ||
+                            pkg.version === exported.version);
+                    });
+                    cb(err, pkgs[0] && pkgs[0].uuid);
+                });
+            }, next);
         },
-        {
-            name: 'billing_id',
-            prompt: true,
-            description: 'SDC Package UUID'
+        function remapNetworks(next) {
+            async.forEachSeries(def.networks, function (net, nextNet) {
+                remap('network', net, function (uuid, cb) {
+                    self.napi.getNetwork(uuid, cb);
+                }, function (exported, cb) {
+                    self.getNetwork(exported.name, function (err, n) {
+                        cb(err, n && n.uuid);
+                    });
+                }, nextNet);
+            }, next);
+        },
+        function buildPayload(next) {
+            tabulate(mappings, {
+                columns: 'what,name,exported_uuid,uuid',
+                validFields: 'what,name,exported_uuid,uuid'
+            });
+            if (problems.length) {
+                return next(new errors.ValidationError(problems));
+            }
+            var uuids = mappings.map(function (m) { return m.uuid; });
+            data = {
+                alias: opts.alias || def.alias,
+                brand: def.brand,
+                owner_uuid: uuids.shift(),
+                image_uuid: uuids.shift(),
+                billing_id: uuids.shift(),
+                networks: def.networks.map(function (net) {
+                    var spec = {uuid: uuids.shift()};
+                    if (net.primary) {
+                        spec.primary = true;
+                    }
+                    if (opts.ips && net.ip) {
+                        spec.ip = net.ip;
+                    }
+                    return spec;
+                }),
+                tags: def.tags,
+                customer_metadata: def.customer_metadata,
+                firewall_enabled: def.firewall_enabled
+            };
+            Object.keys(data).forEach(function (k) {
+                if (data[k] === undefined) {
+                    delete data[k];
+                }
+            });
+            log.debug({data: data}, 'import payload');
+            next();
+        },
+        function createVm(next) {
+            p('');
+            self.createVm(data, opts, next);
         }
-    ];
+    ], function (err) {
+        callback(err);
+    });
+};
+CLI.prototype.do_import.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['alias', 'a'],
+        type: 'string',
+        help: 'Alias for the new VM. Default is the exported alias.',
+        helpArg: 'ALIAS'
+    },
+    {
+        names: ['ips'],
+        type: 'bool',
+        help: 'Request the exported IPs on each network. By default NAPI ' +
+            'picks them.'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Remap and validate the VM payload, but do not create the VM.'
+    },
+    NO_VALIDATE_OPTION,
+    WAIT_OPTION
+];
+CLI.prototype.do_import.help = (
+    'Create a VM from a definition written by "{{name}} export".\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} import [<options>] <file>\n' +
+    '     ...definition... | {{name}} import [<options>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'The owner, image and package are used by UUID if they exist in this\n' +
+    'DC, else they are found by owner login, image name and version, and\n' +
+    'package name (and version, if there is such a version). Networks are\n' +
+    'found by name. The mapping used is shown, then the VM payload is\n' +
+    'validated and created as by "{{name}} create".\n'
+);
 
-    function readField(field, default_, cb) {
-        if (cb === undefined) {
-            cb = default_;
-            default_ = undefined;
-        }
-        assert.object(field, 'field');
-        assert.func(cb);
 
-        var prompt;
-        if (field.description) {
-            prompt = field.name + ' (' + field.description + '):';
-        } else {
-            prompt = field.name + ':';
+/**
+ * Submit a VMAPI UpdateVm for the given VM and (with `opts.wait`) wait for
+ * the job.
+ *
+ * @param uuid {String} The VM UUID.
+ * @param data {Object} The update payload.
+ * @param opts {Object} The subcommand options.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype.updateVm = function (uuid, data, opts, callback) {
+    var self = this;
+    data.uuid = uuid;
+    self.vmapi.updateVm(data, function (err, job) {
+        if (err) {
+            return callback(new errors.APIError(err));
         }
-        //TODO: 'required', don't allow empty string
-        var readOpts = {
-            prompt: prompt,
-            silent: field.hidden,
-            'default': default_
-        };
+        p('Update job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
+        self.finishJob(opts, job, callback);
+    });
+};
 
-        read(readOpts, function (rErr, val) {
-            if (rErr)
-                return cb(rErr);
-            val = val.trim();
-            if (field.json) {
-                try {
-                    val = JSON.parse(val);
-                } catch (parseErr) {
-                    cb(parseErr);
-                }
-            }
 
-            cb(null, val);
-        });
+CLI.prototype.do_update = function (subcmd, opts, args, callback) {
+    var self = this;
+
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length === 0) {
+        return callback(new errors.UsageError('expecting VM UUID'));
     }
+    var uuid = args.shift();
 
     var data = {};
     async.series([
+        function resolveUuid(next) {
+            self.resolveVmUuid(uuid, function (err, vmUuid) {
+                uuid = vmUuid;
+                next(err);
+            });
+        },
         function dataFromStdin(next) {
             if (opts.i || opts.f || args.length > 0) {
                 return next();
@@ -555,176 +3994,567 @@ CLI.prototype.do_create = function (subcmd, opts, args, callback) {
             }
             next();
         },
-        function dataFromPrompting(next) {
-            if (!opts.i) {
+        function updateVm(next) {
+            self.updateVm(uuid, data, opts, next);
+        }
+    ], callback);
+};
+CLI.prototype.do_update.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        name: 'f',
+        type: 'string',
+        help: 'JSON file with user data.'
+    },
+    WAIT_OPTION
+];
+CLI.prototype.do_update.help = (
+    'Update a VM.\n' +
+    '\n' +
+    'Usage:\n' +
+    '  ...stdin... | {{name}} update <uuid>      # 1. data as JSON on stdin\n' +
+    '  {{name}} update <uuid> -f foo.json        # 2. data in JSON file\n' +
+    '  {{name}} update <uuid> <field>=<value>... # 3. all fields as args\n' +
+    '\n' +
+    '{{options}}\n'
+);
+
+
+/**
+ * Shared implementation of the `tag` and `metadata` subcommands.
+ *
+ * @param type {String} The VMAPI metadata type: "tags" or
+ *      "customer_metadata".
+ */
+CLI.prototype._doMetadataCmd = function (type, subcmd, opts, args, callback) {
+    var self = this;
+    var ACTIONS = (type === 'tags'
+        ? ['list', 'set', 'unset'] : ['get', 'set', 'unset']);
+    var action = args[0];
+
+    if (!action) {
+        return callback(new errors.UsageError(sprintf(
+            'missing %s action: must be one of %s', subcmd,
+            ACTIONS.join(', '))));
+    } else if (ACTIONS.indexOf(action) === -1) {
+        return callback(new errors.UsageError(sprintf(
+            'unknown %s action "%s": must be one of %s', subcmd, action,
+            ACTIONS.join(', '))));
+    } else if (args.length < 2) {
+        return callback(new errors.UsageError('expecting VM UUID'));
+    } else if ((action === 'set' || action === 'unset') && args.length < 3) {
+        return callback(new errors.UsageError(sprintf(
+            'no %s given to %s', action === 'set' ? 'key=value pairs' : 'keys',
+            action)));
+    } else if (action !== 'set' && action !== 'unset' && args.length > 3) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+
+    var changes = {};
+    var keys = args.slice(2);
+    if (action === 'set') {
+        for (var i = 0; i < keys.length; i++) {
+            var idx = keys[i].indexOf('=');
+            if (idx <= 0) {
+                return callback(new errors.UsageError(sprintf(
+                    'invalid arg "%s": must match "<key>=<value>"',
+                    keys[i])));
+            }
+            var value = keys[i].slice(idx + 1);
+            if (type === 'tags') {
+                // Tags can be booleans and numbers.
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {}
+            }
+            changes[keys[i].slice(0, idx)] = value;
+        }
+    }
+
+    var vm;
+    async.series([
+        function getVm(next) {
+            self.resolveVm(args[1], function (err, vm_) {
+                vm = vm_;
+                next(err);
+            });
+        },
+        function listOrGet(next) {
+            var metadata = vm[type] || {};
+            if (action === 'set' || action === 'unset') {
                 return next();
+            } else if (keys.length === 1) {
+                if (!metadata.hasOwnProperty(keys[0])) {
+                    return next(new errors.UsageError(sprintf(
+                        'VM %s has no %s key "%s"', vm.uuid, type, keys[0])));
+                }
+                p(cellFromValue(metadata[keys[0]], ''));
+            } else if (opts.json) {
+                p(JSON.stringify(metadata, null, 2));
+            } else {
+                tabulate(Object.keys(metadata).sort().map(function (k) {
+                    var v = metadata[k];
+                    return {
+                        key: k,
+                        value: (typeof (v) === 'string'
+                            ? v.replace(/\n/g, '\\n') : v)
+                    };
+                }), {
+                    columns: 'key,value',
+                    validFields: 'key,value',
+                    skipHeader: opts.H
+                });
             }
-            async.eachSeries(fields, function askField(field, nextField) {
-                if (!field.prompt && !opts.all) {
-                    return nextField();
+            next(true);
+        },
+        function confirmUpdate(next) {
+            var before = vm[type] || {};
+            var after = objMerge(objCopy(before), changes);
+            keys.forEach(function (k) {
+                if (action === 'unset') {
+                    delete after[k];
                 }
-                readField(field, data[field.name], function (rfErr, val) {
-                    if (rfErr)
-                        return nextField(rfErr);
-                    if (val) {
-                        data[field.name] = val;
+            });
+            keys = keys.filter(function (k) {
+                return before.hasOwnProperty(k);
+            });
+            var prompt = sprintf('Update %s of VM %s (%s)?', type, vm.uuid,
+                vm.alias || 'no alias');
+            confirmChanges(before, after, prompt, opts.yes,
+                function (err, changed) {
+                next(err || (changed ? null : true));
+            });
+        },
+        function update(next) {
+            if (action === 'set') {
+                self.vmapi.addMetadata(type,
+                    {uuid: vm.uuid, metadata: changes},
+                    function (err, job) {
+                    if (err) {
+                        return next(new errors.APIError(err));
                     }
-                    nextField();
+                    p('Update %s job %s for VM %s created', type,
+                        job['job_uuid'], job['vm_uuid']);
+                    self.finishJob(opts, job, next);
                 });
-            }, next);
+            } else {
+                // One key per DeleteMetadata call: do them in turn.
+                async.forEachSeries(keys, function (key, nextKey) {
+                    self.vmapi.deleteMetadata(type, {uuid: vm.uuid}, key,
+                        function (err, job) {
+                        if (err) {
+                            return nextKey(new errors.APIError(err));
+                        }
+                        p('Unset %s "%s" job %s for VM %s created', type, key,
+                            job['job_uuid'], job['vm_uuid']);
+                        self.finishJob(opts, job, nextKey);
+                    });
+                }, next);
+            }
+        }
+    ], function (err) {
+        // `true` is used to skip the remaining steps.
+        callback(err === true ? null : err);
+    });
+};
+
+
+CLI.prototype.do_tag = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doMetadataCmd('tags', subcmd, opts, args, callback);
+};
+CLI.prototype.do_tag.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output (for "list").'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row (for "list").'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    WAIT_OPTION
+];
+CLI.prototype.do_tag.help = (
+    'List, set or unset a VM\'s tags.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} tag list [<options>] <uuid> [<key>]\n' +
+    '     {{name}} tag set [<options>] <uuid> <key>=<value>...\n' +
+    '     {{name}} tag unset [<options>] <uuid> <key>...\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Tag values of "true", "false" and numbers are set as booleans and\n' +
+    'numbers. Changes are shown and must be confirmed before they are\n' +
+    'made.\n'
+);
+
+
+CLI.prototype.do_metadata = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doMetadataCmd('customer_metadata', subcmd, opts, args, callback);
+};
+CLI.prototype.do_metadata.options = CLI.prototype.do_tag.options;
+CLI.prototype.do_metadata.help = (
+    'Get, set or unset a VM\'s customer_metadata.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} metadata get [<options>] <uuid> [<key>]\n' +
+    '     {{name}} metadata set [<options>] <uuid> <key>=<value>...\n' +
+    '     {{name}} metadata unset [<options>] <uuid> <key>...\n' +
+    '\n' +
+    '{{options}}\n' +
+    'With a key, "get" prints just its value. Changes are shown and must\n' +
+    'be confirmed before they are made.\n'
+);
+
+
+CLI.prototype.do_resize = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 2) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+
+    // VM fields set from a package, keyed by package field.
+    var FIELD_FROM_PKG_FIELD = {
+        uuid: 'billing_id',
+        max_physical_memory: 'ram',
+        max_swap: 'max_swap',
+        max_lwps: 'max_lwps',
+        quota: 'quota',
+        cpu_cap: 'cpu_cap',
+        fss: 'cpu_shares',
+        zfs_io_priority: 'zfs_io_priority'
+    };
+
+    var vm, pkg;
+    var before = {};
+    var after = {};
+    async.series([
+        function getVm(next) {
+            self.resolveVm(args[0], function (err, vm_) {
+                vm = vm_;
+                next(err);
+            });
         },
-        function createVm(next) {
-            vmapi.createVm(data, function (err, job) {
+        function getPackage(next) {
+            if (UUID_RE.test(args[1])) {
+                return self.papi.get(args[1], {}, function (err, pkg_) {
+                    pkg = pkg_;
+                    next(err && new errors.APIError(err));
+                });
+            }
+            self.papi.list({name: args[1], active: true}, {},
+                function (err, pkgs) {
                 if (err) {
                     return next(new errors.APIError(err));
+                } else if (pkgs.length === 0) {
+                    return next(new errors.UsageError(sprintf(
+                        'no active package named "%s"', args[1])));
+                } else if (pkgs.length > 1) {
+                    return next(new errors.UsageError(sprintf(
+                        '%d active packages are named "%s": use a package ' +
+                        'UUID: %s', pkgs.length, args[1], pkgs.map(
+                            function (pk) {
+                            return pk.uuid + ' (' + pk.version + ')';
+                        }).join(', '))));
                 }
-                p('VM %s (job "%s") created', job['vm_uuid'], job['job_uuid']);
+                pkg = pkgs[0];
                 next();
             });
+        },
+        function confirmResize(next) {
+            Object.keys(FIELD_FROM_PKG_FIELD).forEach(function (pkgField) {
+                if (pkg[pkgField] === undefined) {
+                    return;
+                }
+                var field = FIELD_FROM_PKG_FIELD[pkgField];
+                var value = pkg[pkgField];
+                if (field === 'quota') {
+                    // Package quota is in MiB, VM quota in GiB.
+                    value = Math.ceil(value / 1024);
+                }
+                before[field] = vm[field];
+                after[field] = value;
+            });
+            var prompt = sprintf('Resize VM %s (%s) to package %s (%s)?',
+                vm.uuid, vm.alias || 'no alias', pkg.name, pkg.uuid);
+            confirmChanges(before, after, prompt, opts.yes,
+                function (err, changed) {
+                next(err || (changed ? null : true));
+            });
+        },
+        function updateVm(next) {
+            var data = {uuid: vm.uuid};
+            Object.keys(after).forEach(function (field) {
+                if (JSON.stringify(before[field]) !==
+                    JSON.stringify(after[field]))
+                {
+                    data[field] = after[field];
+                }
+            });
+            self.vmapi.updateVm(data, function (err, job) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                p('Resize job %s for VM %s created', job['job_uuid'],
+                    job['vm_uuid']);
+                self.finishJob(opts, job, next);
+            });
         }
-    ], callback);
+    ], function (err) {
+        // `true` is used to skip the remaining steps.
+        callback(err === true ? null : err);
+    });
 };
-CLI.prototype.do_create.options = [
+CLI.prototype.do_resize.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
     },
     {
-        name: 'f',
-        type: 'string',
-        help: 'JSON file with user data.'
-    },
-    {
-        name: 'i',
+        names: ['yes', 'y'],
         type: 'bool',
-        help: 'Interactively prompt for fields. Only the following fields' +
-            'are prompted: owner_uuid, image_uuid, brand, networks and ' +
-            'billing_id.'
-    }
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    WAIT_OPTION
 ];
-CLI.prototype.do_create.help = (
-    'Create a new VM.\n' +
+CLI.prototype.do_resize.help = (
+    'Resize a VM to a different package.\n' +
     '\n' +
     'Usage:\n' +
-    '   ...stdin... | {{name}} create            # 1. data as JSON on stdin\n' +
-    '   {{name}} create -f foo.json              # 2. data in JSON file\n' +
-    '   {{name}} create <field>=<value>...       # 3. all fields as args\n' +
-    '   {{name}} create -i [<field>=<value>...]  # 4. prompt for fields\n' +
+    '     {{name}} resize [<options>] <uuid> <package-name-or-uuid>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'The VM\'s ram, quota, cpu_cap and other package fields are updated\n' +
+    'to those of the package. The changes are shown and must be confirmed\n' +
+    'before they are made.\n'
 );
 
 
-CLI.prototype.do_update = function (subcmd, opts, args, callback) {
+CLI.prototype.do_edit = function (subcmd, opts, args, callback) {
     var self = this;
-    var vmapi = self.vmapi;
-
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
-    } else if (args.length === 0) {
-        return callback(new errors.UsageError('expecting VM UUID'));
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
-    args.shift();
 
-    var data = {};
-    async.series([
-        function dataFromStdin(next) {
-            if (opts.i || opts.f || args.length > 0) {
-                return next();
-            }
-            var stdin = '';
-            process.stdin.resume();
-            process.stdin.on('data', function (chunk) {
-                stdin += chunk;
+    var EDIT_FIELDS = ['alias', 'tags', 'customer_metadata', 'ram',
+        'max_swap', 'max_lwps', 'quota', 'cpu_cap', 'cpu_shares',
+        'zfs_io_priority'];
+    var editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+
+    var vm, tmpPath;
+    var before = {};
+    var after;
+    var changes = {};
+    async.series([
+        function getVm(next) {
+            self.resolveVm(args[0], function (err, vm_) {
+                vm = vm_;
+                next(err);
             });
-            process.stdin.on('end', function () {
-                try {
-                    objMerge(data, JSON.parse(stdin));
-                    next();
-                } catch (ex) {
-                    next(new errors.UsageError(
-                        sprintf('invalid JSON data on stdin: %s', ex)));
+        },
+        function writeFile(next) {
+            EDIT_FIELDS.forEach(function (field) {
+                if (vm[field] !== undefined) {
+                    before[field] = vm[field];
                 }
             });
+            /*
+             * The file can hold secrets (in customer_metadata), so it is
+             * only readable by us and created exclusively (not following a
+             * planted symlink) with an unguessable name.
+             */
+            var name = sprintf('sdc-vmadm-edit-%s.json', genUuid());
+            fs.writeFile(path.join(os.tmpdir(), name),
+                JSON.stringify(before, null, 4) + '\n',
+                {flag: 'wx', mode: parseInt('600', 8)},
+                function (err) {
+                    if (!err) {
+                        tmpPath = path.join(os.tmpdir(), name);
+                    }
+                    next(err);
+                });
         },
-        function dataFromFile(next) {
-            if (!opts.f) {
-                return next();
-            } else if (opts.i) {
-                return next(new errors.UsageError(
-                    'cannot use both "-i" and "-f" options'));
-            } else if (args.length > 0) {
-                return next(new errors.UsageError(
-                    'cannot specify args and the "-f" option'));
-            }
-            fs.readFile(opts.f, function (rErr, content) {
-                try {
-                    objMerge(data, JSON.parse(content));
+        function editFile(next) {
+            function edit() {
+                // Run via the shell so, e.g., `EDITOR="vim -f"` works.
+                var child = child_process.spawn('/bin/sh',
+                    ['-c', editor + ' "$1"', 'sh', tmpPath],
+                    {stdio: 'inherit'});
+                var done = false;
+                child.on('error', function (err) {
+                    if (!done) {
+                        done = true;
+                        next(new errors.InternalError({cause: err,
+                            message: sprintf('could not run editor "%s": %s',
+                                editor, err.message)}));
+                    }
+                });
+                child.on('exit', function (code, signal) {
+                    if (done) {
+                        return;
+                    }
+                    done = true;
+                    if (code === null) {
+                        return next(new errors.UsageError(sprintf(
+                            'editor "%s" was killed by signal %s', editor,
+                            signal)));
+                    } else if (code !== 0) {
+                        return next(new errors.UsageError(sprintf(
+                            'editor "%s" exited with status %d', editor,
+                            code)));
+                    }
+                    var content = fs.readFileSync(tmpPath, 'utf8');
+                    try {
+                        after = JSON.parse(content);
+                    } catch (ex) {
+                        if (!process.stdin.isTTY) {
+                            return next(new errors.UsageError(sprintf(
+                                'invalid JSON in "%s": %s', tmpPath, ex)));
+                        }
+                        return confirm(sprintf('invalid JSON: %s\n' +
+                            'Edit again? [y/N] ', ex),
+                            function (err, again) {
+                            if (err) {
+                                next(err);
+                            } else if (again) {
+                                edit();
+                            } else {
+                                next(new errors.UsageError('aborted'));
+                            }
+                        });
+                    }
                     next();
-                } catch (ex) {
-                    next(new errors.UsageError(
-                        sprintf('invalid JSON data in "%s": %s', opts.f, ex)));
-                }
-            });
+                });
+            }
+            edit();
         },
-        function dataFromArgs(next) {
-            if (args.length === 0) {
-                return next();
+        function diffFields(next) {
+            var unknown = Object.keys(after).filter(function (field) {
+                return EDIT_FIELDS.indexOf(field) === -1;
+            });
+            if (unknown.length) {
+                return next(new errors.UsageError(sprintf(
+                    'cannot edit field(s) "%s": editable fields are %s',
+                    unknown.join('", "'), EDIT_FIELDS.join(', '))));
             }
-            for (var i = 0; i < args.length; i++) {
-                var arg = args[i];
-                var idx = arg.indexOf('=');
-                if (idx === -1) {
-                    return next(new errors.UsageError(sprintf(
-                        'invalid field arg "%s": must match ' +
-                        '"<field>=<value>"', arg)));
-                }
-                var field = arg.slice(0, idx);
-                var value = arg.slice(idx + 1);
-                try {
-                    value = JSON.parse(value);
-                } catch (e) {}
-                data[field] = value;
+            var removed = Object.keys(before).filter(function (field) {
+                return !after.hasOwnProperty(field);
+            });
+            if (removed.length) {
+                console.error('warning: ignoring removed field(s) "%s": ' +
+                    'fields cannot be removed with edit',
+                    removed.join('", "'));
+                removed.forEach(function (field) {
+                    after[field] = before[field];
+                });
             }
-            next();
+            Object.keys(after).forEach(function (field) {
+                if (JSON.stringify(after[field]) !==
+                    JSON.stringify(before[field]))
+                {
+                    changes[field] = after[field];
+                }
+            });
+            var prompt = sprintf('Update VM %s (%s)?', vm.uuid,
+                vm.alias || 'no alias');
+            confirmChanges(flattenObject(before), flattenObject(after),
+                prompt, opts.yes, function (err, changed) {
+                next(err || (changed ? null : true));
+            });
         },
-        function updateVm(next) {
-            data.uuid = uuid;
-            vmapi.updateVm(data, function (err, job) {
+        function checkUnmodified(next) {
+            self.vmapi.getVm({uuid: vm.uuid}, function (err, current) {
                 if (err) {
                     return next(new errors.APIError(err));
                 }
-                p('Update job %s for VM %s created', job['job_uuid'],
-                    job['vm_uuid']);
+                var modified = (current.last_modified !== vm.last_modified);
+                EDIT_FIELDS.forEach(function (field) {
+                    if (JSON.stringify(current[field]) !==
+                        JSON.stringify(vm[field]))
+                    {
+                        modified = true;
+                    }
+                });
+                if (modified) {
+                    return next(new errors.UsageError(sprintf(
+                        'VM %s was modified while editing: not updating. ' +
+                        'Your changes were: %s', vm.uuid,
+                        JSON.stringify(changes))));
+                }
                 next();
             });
+        },
+        function updateVm(next) {
+            self.updateVm(vm.uuid, changes, opts, next);
         }
-    ], callback);
+    ], function (err) {
+        if (tmpPath) {
+            fs.unlink(tmpPath, function () {});
+        }
+        // `true` is used to skip the remaining steps.
+        callback(err === true ? null : err);
+    });
 };
-CLI.prototype.do_update.options = [
+CLI.prototype.do_edit.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
     },
     {
-        name: 'f',
-        type: 'string',
-        help: 'JSON file with user data.'
-    }
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    WAIT_OPTION
 ];
-CLI.prototype.do_update.help = (
-    'Update a VM.\n' +
+CLI.prototype.do_edit.help = (
+    'Edit a VM\'s alias, tags, customer_metadata and limits in $EDITOR.\n' +
     '\n' +
     'Usage:\n' +
-    '  ...stdin... | {{name}} update <uuid>      # 1. data as JSON on stdin\n' +
-    '  {{name}} update <uuid> -f foo.json        # 2. data in JSON file\n' +
-    '  {{name}} update <uuid> <field>=<value>... # 3. all fields as args\n' +
+    '     {{name}} edit [<options>] <uuid>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'The fields are edited as JSON. Only the changed fields are sent to\n' +
+    'VMAPI, after confirmation. The update is refused if the VM was\n' +
+    'modified while editing. Removing a field does not remove it from the\n' +
+    'VM: the field is left unchanged.\n' +
+    '\n' +
+    '$EDITOR (or $VISUAL) is run by "/bin/sh", so it can include\n' +
+    'arguments, e.g. EDITOR="vim -f".\n'
 );
 
 
@@ -738,11 +4568,16 @@ CLI.prototype.do_add_nics = function (subcmd, opts, args, callback) {
     } else if (args.length === 0) {
         return callback(new errors.UsageError('expecting VM UUID'));
     }
-    var uuid = args[0];
-    args.shift();
+    var uuid = args.shift();
 
     var data = {};
     async.series([
+        function resolveUuid(next) {
+            self.resolveVmUuid(uuid, function (err, vmUuid) {
+                uuid = vmUuid;
+                next(err);
+            });
+        },
         function dataFromStdin(next) {
             if (opts.i || opts.f || args.length > 0) {
                 return next();
@@ -790,7 +4625,7 @@ CLI.prototype.do_add_nics = function (subcmd, opts, args, callback) {
                 }
                 p('AddNics job %s for VM %s created', job['job_uuid'],
                     job['vm_uuid']);
-                next();
+                self.finishJob(opts, job, next);
             });
         }
     ], callback);
@@ -805,7 +4640,8 @@ CLI.prototype.do_add_nics.options = [
         name: 'f',
         type: 'string',
         help: 'JSON file with user data.'
-    }
+    },
+    WAIT_OPTION
 ];
 CLI.prototype.do_add_nics.help = (
     'Add NICs to a VM.\n' +
@@ -828,11 +4664,16 @@ CLI.prototype.do_remove_nics = function (subcmd, opts, args, callback) {
     } else if (args.length === 0) {
         return callback(new errors.UsageError('expecting VM UUID'));
     }
-    var uuid = args[0];
-    args.shift();
+    var uuid = args.shift();
 
     var data = {};
     async.series([
+        function resolveUuid(next) {
+            self.resolveVmUuid(uuid, function (err, vmUuid) {
+                uuid = vmUuid;
+                next(err);
+            });
+        },
         function dataFromStdin(next) {
             if (opts.i || opts.f || args.length > 0) {
                 return next();
@@ -880,7 +4721,7 @@ CLI.prototype.do_remove_nics = function (subcmd, opts, args, callback) {
                 }
                 p('RemoveNics job %s for VM %s created', job['job_uuid'],
                     job['vm_uuid']);
-                next();
+                self.finishJob(opts, job, next);
             });
         }
     ], callback);
@@ -895,7 +4736,8 @@ CLI.prototype.do_remove_nics.options = [
         name: 'f',
         type: 'string',
         help: 'JSON file with user data.'
-    }
+    },
+    WAIT_OPTION
 ];
 CLI.prototype.do_remove_nics.help = (
     'Remove NICs from a VM.\n' +
@@ -908,7 +4750,8 @@ CLI.prototype.do_remove_nics.help = (
 );
 
 
-CLI.prototype.do_stop = function (subcmd, opts, args, callback) {
+CLI.prototype.do_nics = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
@@ -916,101 +4759,348 @@ CLI.prototype.do_stop = function (subcmd, opts, args, callback) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
-    this.vmapi.stopVm({ uuid: uuid }, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+
+    self.resolveVm(args[0], function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
         }
-        p('Stop job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
+        var nics = vm.nics || [];
+        var networkNames = {};
+        async.forEachLimit(nics, BULK_CONCURRENCY, function (nic, next) {
+            if (!nic.network_uuid ||
+                networkNames.hasOwnProperty(nic.network_uuid))
+            {
+                return next();
+            }
+            networkNames[nic.network_uuid] = undefined;
+            self.napi.getNetwork(nic.network_uuid, function (err, net) {
+                // Not fatal: the network name is just shown as "-".
+                if (err) {
+                    log.debug(err, 'could not get network %s',
+                        nic.network_uuid);
+                } else {
+                    networkNames[nic.network_uuid] = net.name;
+                }
+                next();
+            });
+        }, function () {
+            nics = nics.map(function (nic) {
+                return objMerge(objCopy(nic), {
+                    network: networkNames[nic.network_uuid],
+                    primary: !!nic.primary
+                });
+            });
+            if (opts.json) {
+                p(JSON.stringify(nics, null, 2));
+            } else {
+                tabulate(nics, {
+                    columns: 'mac,ip,network,vlan_id,nic_tag,primary',
+                    validFields: 'mac,ip,network,network_uuid,vlan_id,' +
+                        'nic_tag,primary,netmask,gateway,interface',
+                    skipHeader: opts.H
+                });
+            }
+            callback();
+        });
     });
 };
-CLI.prototype.do_stop.options = [
+CLI.prototype.do_nics.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
     }
 ];
-CLI.prototype.do_stop.help = (
-    'Stop a VM.\n' +
+CLI.prototype.do_nics.help = (
+    'List a VM\'s NICs.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} stop [<options>] <uuid>\n' +
+    '     {{name}} nics [<options>] <uuid>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}'
 );
 
 
-CLI.prototype.do_start = function (subcmd, opts, args, callback) {
+CLI.prototype.do_add_nic = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
-    } else if (args.length !== 1) {
+    } else if (args.length !== 2) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
-    this.vmapi.startVm({ uuid: uuid }, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+
+    var uuid, network;
+    async.series([
+        function resolveUuid(next) {
+            self.resolveVmUuid(args[0], function (err, uuid_) {
+                uuid = uuid_;
+                next(err);
+            });
+        },
+        function getNetwork(next) {
+            self.getNetwork(args[1], function (err, net) {
+                if (err && err.body) {
+                    return next(new errors.APIError(err));
+                } else if (err) {
+                    return next(new errors.UsageError(sprintf(
+                        'no network "%s"', args[1])));
+                }
+                network = net;
+                next();
+            });
+        },
+        function addNic(next) {
+            var netSpec = {uuid: network.uuid};
+            if (opts.ip) {
+                netSpec.ip = opts.ip;
+            }
+            self.vmapi.addNics({uuid: uuid, networks: [netSpec]},
+                function (err, job) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                p('Add NIC on network %s (%s) job %s for VM %s created',
+                    network.name, network.uuid, job['job_uuid'],
+                    job['vm_uuid']);
+                self.finishJob(opts, job, next);
+            });
         }
-        p('Start job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
-    });
+    ], callback);
 };
-CLI.prototype.do_start.options = [
+CLI.prototype.do_add_nic.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
+    },
+    {
+        names: ['ip'],
+        type: 'string',
+        help: 'IP address for the NIC. By default NAPI picks one.',
+        helpArg: 'IP'
+    },
+    WAIT_OPTION
+];
+CLI.prototype.do_add_nic.help = (
+    'Add a NIC on the given network to a VM.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} add-nic [<options>] <uuid> <network-name-or-uuid>\n' +
+    '\n' +
+    '{{options}}'
+);
+
+
+CLI.prototype.do_remove_nic = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 2) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
     }
+
+    self.resolveVm(args[0], function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
+        }
+        var nic;
+        try {
+            nic = findNic(vm, args[1]);
+        } catch (nicErr) {
+            return callback(nicErr);
+        }
+        self.vmapi.removeNics({uuid: vm.uuid, macs: [nic.mac]},
+            function (err, job) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            p('Remove NIC %s (%s) job %s for VM %s created', nic.mac,
+                nic.ip, job['job_uuid'], job['vm_uuid']);
+            self.finishJob(opts, job, callback);
+        });
+    });
+};
+CLI.prototype.do_remove_nic.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    WAIT_OPTION
 ];
-CLI.prototype.do_start.help = (
-    'Start a VM.\n' +
+CLI.prototype.do_remove_nic.help = (
+    'Remove a NIC, given by MAC or IP, from a VM.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} start [<options>] <uuid>\n' +
+    '     {{name}} remove-nic [<options>] <uuid> <mac-or-ip>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}'
 );
 
 
-CLI.prototype.do_reboot = function (subcmd, opts, args, callback) {
+CLI.prototype.do_set_primary = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
-    } else if (args.length !== 1) {
+    } else if (args.length !== 2) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
-    this.vmapi.rebootVm({ uuid: uuid }, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+
+    self.resolveVm(args[0], function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
         }
-        p('Reboot job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
+        var nic;
+        try {
+            nic = findNic(vm, args[1]);
+        } catch (nicErr) {
+            return callback(nicErr);
+        }
+        if (nic.primary) {
+            p('NIC %s (%s) is already the primary NIC of VM %s', nic.mac,
+                nic.ip, vm.uuid);
+            return callback();
+        }
+        self.vmapi.updateNics({uuid: vm.uuid,
+            nics: [ {mac: nic.mac, primary: true} ]},
+            function (err, job) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            p('Set primary NIC %s (%s) job %s for VM %s created', nic.mac,
+                nic.ip, job['job_uuid'], job['vm_uuid']);
+            self.finishJob(opts, job, callback);
+        });
     });
 };
+CLI.prototype.do_set_primary.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    WAIT_OPTION
+];
+CLI.prototype.do_set_primary.help = (
+    'Make the NIC with the given MAC or IP a VM\'s primary NIC.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} set-primary [<options>] <uuid> <mac-or-ip>\n' +
+    '\n' +
+    '{{options}}'
+);
+
+
+CLI.prototype.do_stop = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doVmAction('stop', opts, args, {}, callback);
+};
+CLI.prototype.do_stop.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    WAIT_OPTION
+].concat(BULK_OPTIONS);
+CLI.prototype.do_stop.help = (
+    'Stop one or more VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} stop [<options>] <uuid>...\n' +
+    '     {{name}} stop [<options>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} stop [<options>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Multiple VMs can be given as several UUIDs, as filter terms (see\n' +
+    '"{{name}} help list"), or as UUIDs on stdin with "-". Per-VM\n' +
+    'results are then printed as a table. Confirmation is required to\n' +
+    'stop more than one VM (use "-y" to skip it).\n'
+);
+
+
+CLI.prototype.do_start = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doVmAction('start', opts, args, {}, callback);
+};
+CLI.prototype.do_start.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    WAIT_OPTION
+].concat(BULK_OPTIONS);
+CLI.prototype.do_start.help = (
+    'Start one or more VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} start [<options>] <uuid>...\n' +
+    '     {{name}} start [<options>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} start [<options>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Multiple VMs can be given as several UUIDs, as filter terms (see\n' +
+    '"{{name}} help list"), or as UUIDs on stdin with "-". Per-VM\n' +
+    'results are then printed as a table.\n'
+);
+
+
+CLI.prototype.do_reboot = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doVmAction('reboot', opts, args, {}, callback);
+};
 CLI.prototype.do_reboot.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    }
-];
+    },
+    WAIT_OPTION
+].concat(BULK_OPTIONS);
 CLI.prototype.do_reboot.help = (
-    'Reboot a VM.\n' +
+    'Reboot one or more VMs.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} reboot [<options>] <uuid>\n' +
+    '     {{name}} reboot [<options>] <uuid>...\n' +
+    '     {{name}} reboot [<options>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} reboot [<options>] -\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'Multiple VMs can be given as several UUIDs, as filter terms (see\n' +
+    '"{{name}} help list"), or as UUIDs on stdin with "-". Per-VM\n' +
+    'results are then printed as a table. Confirmation is required to\n' +
+    'reboot more than one VM (use "-y" to skip it).\n'
 );
 
 
 CLI.prototype.do_reprovision = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
@@ -1018,17 +5108,22 @@ CLI.prototype.do_reprovision = function (subcmd, opts, args, callback) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
     var imageUuid = args[1];
 
-    this.vmapi.reprovisionVm({ uuid: uuid, image_uuid: imageUuid },
-      function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+    self.resolveGuardedVm(args[0], 'reprovision %s with image ' + imageUuid,
+        opts, function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
         }
-        p('Reprovision job %s for VM %s created', job['job_uuid'],
-            job['vm_uuid']);
-        return callback();
+        self.vmapi.reprovisionVm({ uuid: vm.uuid, image_uuid: imageUuid },
+          function (err, job) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            p('Reprovision job %s for VM %s created', job['job_uuid'],
+                job['vm_uuid']);
+            self.finishJob(opts, job, callback);
+        });
     });
 };
 CLI.prototype.do_reprovision.options = [
@@ -1036,7 +5131,14 @@ CLI.prototype.do_reprovision.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    }
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    FORCE_OPTION,
+    WAIT_OPTION
 ];
 CLI.prototype.do_reprovision.help = (
     'Reprovision a VM.\n' +
@@ -1044,7 +5146,10 @@ CLI.prototype.do_reprovision.help = (
     'Usage:\n' +
     '     {{name}} reprovision [<options>] <uuid> <image_uuid>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'The VM is shown and confirmation is required. Core VMs (with a\n' +
+    '"smartdc_role" tag) and VMs tagged "protected=true" are refused\n' +
+    'unless "--force" is given.\n'
 );
 
 
@@ -1052,40 +5157,172 @@ CLI.prototype.do_snapshot = function (subcmd, opts, args, callback) {
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
-    } else if (args.length === 0 || args.length > 2) {
-        return callback(new errors.UsageError(sprintf(
-            'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var params = { uuid: args[0] };
-    if (args[1]) {
-        params.name = args[1];
+    var params = {};
+    if (opts.name) {
+        params.name = opts.name;
+    } else if (args.length === 2 && UUID_RE.test(args[0])) {
+        /*
+         * Backward compat: `snapshot <uuid> <name>`. Any other arguments
+         * are all VMs, e.g. `snapshot web0 web1` snapshots two VMs.
+         */
+        params.name = args.pop();
     }
-    this.vmapi.snapshotVm(params, function (err, job) {
+    this._doVmAction('snapshot', opts, args, params, callback);
+};
+CLI.prototype.do_snapshot.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['name', 'n'],
+        type: 'string',
+        help: 'Snapshot name. By default VMAPI generates one.',
+        helpArg: 'NAME'
+    },
+    WAIT_OPTION
+].concat(BULK_OPTIONS);
+CLI.prototype.do_snapshot.help = (
+    'Snapshot one or more VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} snapshot [<options>] <uuid> [<name>]\n' +
+    '     {{name}} snapshot [<options>] [-n <name>] <uuid>...\n' +
+    '     {{name}} snapshot [<options>] [-n <name>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} snapshot [<options>] [-n <name>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Multiple VMs can be given as several UUIDs, as filter terms (see\n' +
+    '"{{name}} help list"), or as UUIDs on stdin with "-". Per-VM\n' +
+    'results are then printed as a table.\n' +
+    '\n' +
+    'Without "-n", two arguments starting with a full VM UUID are that\n' +
+    'VM and the snapshot name (the first form). Otherwise all arguments\n' +
+    'are VMs: use "-n" to name the snapshots, e.g. to snapshot exactly\n' +
+    'two VMs given by UUID.\n'
+);
+
+
+/**
+ * The snapshots of the given VM, oldest first, including those being
+ * created or deleted by queued or running jobs.
+ *
+ * @param vm {Object}
+ * @param callback {Function} `function (err, snapshots)` where each
+ *      snapshot has `name`, `created_at` and `state` ("created",
+ *      "creating" or "deleting").
+ */
+CLI.prototype.listSnapshots = function (vm, callback) {
+    var snapshots = (vm.snapshots || []).map(function (snap) {
+        return {
+            name: snap.name,
+            created_at: snap.created_at,
+            state: 'created'
+        };
+    });
+
+    this.vmapi.listJobs({vm_uuid: vm.uuid}, function (err, jobs) {
         if (err) {
             return callback(new errors.APIError(err));
         }
-        p('Snapshot job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
+        jobs.forEach(function (job) {
+            var params = job.params || {};
+            if (['queued', 'running'].indexOf(job.execution) === -1 ||
+                !params.snapshot_name)
+            {
+                return;
+            }
+            var snap = snapshots.filter(function (s) {
+                return s.name === params.snapshot_name;
+            })[0];
+            if (params.task === 'snapshot' && !snap) {
+                snapshots.push({
+                    name: params.snapshot_name,
+                    created_at: job.created_at,
+                    state: 'creating'
+                });
+            } else if (params.task === 'delete_snapshot' && snap) {
+                snap.state = 'deleting';
+            }
+        });
+        snapshots.sort(function (a, b) {
+            return (a.created_at < b.created_at ? -1
+                : (a.created_at > b.created_at ? 1 : 0));
+        });
+        callback(null, snapshots);
     });
 };
-CLI.prototype.do_snapshot.options = [
+
+
+CLI.prototype.do_snapshots = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 1) {
+        return callback(new errors.UsageError(sprintf(
+            'incorrect number of arguments: "%s"', args.join(' '))));
+    }
+
+    self.resolveVm(args[0], function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
+        }
+        self.listSnapshots(vm, function (err, snapshots) {
+            if (err) {
+                return callback(err);
+            }
+            if (opts.json) {
+                p(JSON.stringify(snapshots, null, 2));
+            } else {
+                var now = Date.now();
+                snapshots.forEach(function (snap) {
+                    snap.age = (snap.created_at ? humanDurationFromMs(
+                        now - new Date(snap.created_at).getTime()) : '-');
+                });
+                tabulate(snapshots, {
+                    columns: 'name,created_at,age,state',
+                    validFields: 'name,created_at,age,state',
+                    skipHeader: opts.H
+                });
+            }
+            callback();
+        });
+    });
+};
+CLI.prototype.do_snapshots.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Do not print table header row.'
     }
 ];
-CLI.prototype.do_snapshot.help = (
-    'Snapshot a VM.\n' +
+CLI.prototype.do_snapshots.help = (
+    'List a VM\'s snapshots, oldest first.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} snapshot [<options>] <uuid> [<name>]\n' +
+    '     {{name}} snapshots [<options>] <uuid>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'Snapshots being created or deleted by a queued or running job are\n' +
+    'shown with state "creating" or "deleting".\n'
 );
 
 
 CLI.prototype.do_rollback = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
@@ -1093,13 +5330,20 @@ CLI.prototype.do_rollback = function (subcmd, opts, args, callback) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var params = { uuid: args[0], name: args[1] };
-    this.vmapi.rollbackVm(params, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+    var action = 'roll back %s to snapshot "' + args[1] + '"';
+    self.resolveGuardedVm(args[0], action, opts, function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
         }
-        p('Rollback job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
+        var params = { uuid: vm.uuid, name: args[1] };
+        self.vmapi.rollbackVm(params, function (err, job) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            p('Rollback job %s for VM %s created', job['job_uuid'],
+                job['vm_uuid']);
+            self.finishJob(opts, job, callback);
+        });
     });
 };
 CLI.prototype.do_rollback.options = [
@@ -1107,7 +5351,14 @@ CLI.prototype.do_rollback.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    }
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    FORCE_OPTION,
+    WAIT_OPTION
 ];
 CLI.prototype.do_rollback.help = (
     'Rollback a VM.\n' +
@@ -1115,11 +5366,15 @@ CLI.prototype.do_rollback.help = (
     'Usage:\n' +
     '     {{name}} rollback [<options>] <uuid> <name>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'The VM is shown and confirmation is required. Core VMs (with a\n' +
+    '"smartdc_role" tag) and VMs tagged "protected=true" are refused\n' +
+    'unless "--force" is given.\n'
 );
 
 
 CLI.prototype.do_delete_snapshot = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
@@ -1127,14 +5382,20 @@ CLI.prototype.do_delete_snapshot = function (subcmd, opts, args, callback) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var params = { uuid: args[0], name: args[1] };
-    this.vmapi.deleteSnapshot(params, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+    var action = 'delete snapshot "' + args[1] + '" of %s';
+    self.resolveGuardedVm(args[0], action, opts, function (rErr, vm) {
+        if (rErr) {
+            return callback(rErr);
         }
-        p('Delete snapshot job %s for VM %s created', job['job_uuid'],
-            job['vm_uuid']);
-        return callback();
+        var params = { uuid: vm.uuid, name: args[1] };
+        self.vmapi.deleteSnapshot(params, function (err, job) {
+            if (err) {
+                return callback(new errors.APIError(err));
+            }
+            p('Delete snapshot job %s for VM %s created', job['job_uuid'],
+                job['vm_uuid']);
+            self.finishJob(opts, job, callback);
+        });
     });
 };
 CLI.prototype.do_delete_snapshot.options = [
@@ -1142,7 +5403,14 @@ CLI.prototype.do_delete_snapshot.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    }
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to the confirmation prompt.'
+    },
+    FORCE_OPTION,
+    WAIT_OPTION
 ];
 CLI.prototype.do_delete_snapshot.help = (
     'Delete a snapshot from VM.\n' +
@@ -1150,11 +5418,239 @@ CLI.prototype.do_delete_snapshot.help = (
     'Usage:\n' +
     '     {{name}} delete-snapshot [<options>] <uuid> <name>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'The VM is shown and confirmation is required. Core VMs (with a\n' +
+    '"smartdc_role" tag) and VMs tagged "protected=true" are refused\n' +
+    'unless "--force" is given.\n'
+);
+
+
+CLI.prototype.do_prune_snapshots = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length === 0) {
+        return callback(new errors.UsageError(
+            'no VM UUIDs or filter terms given'));
+    } else if (!opts.older_than && opts.keep === undefined) {
+        return callback(new errors.UsageError(
+            'one of "--older-than" or "--keep" is required'));
+    }
+
+    var cutoff;
+    if (opts.older_than) {
+        try {
+            cutoff = dateFromTimeArg(opts.older_than);
+        } catch (timeErr) {
+            return callback(timeErr);
+        }
+    }
+
+    var toDelete = [];
+    async.series([
+        function findSnapshots(next) {
+            self.getTargetVms(args, function (err, vms) {
+                if (err) {
+                    return next(err);
+                }
+                var pErr = protectionError(vms, opts.force);
+                if (pErr) {
+                    return next(pErr);
+                }
+                async.forEachLimit(vms, BULK_CONCURRENCY,
+                    function (vm, nextVm) {
+                    self.listSnapshots(vm, function (sErr, snapshots) {
+                        if (sErr) {
+                            return nextVm(sErr);
+                        }
+                        // Oldest first, to keep the newest `opts.keep`.
+                        var created = snapshots.filter(function (snap) {
+                            return snap.state === 'created';
+                        }).sort(function (a, b) {
+                            return (new Date(a.created_at) -
+                                new Date(b.created_at));
+                        });
+                        var keep = opts.keep || 0;
+                        created.slice(0, Math.max(created.length - keep, 0))
+                            .forEach(function (snap) {
+                            if (!cutoff ||
+                                new Date(snap.created_at) < cutoff)
+                            {
+                                toDelete.push({
+                                    uuid: vm.uuid,
+                                    alias: vm.alias,
+                                    snapshot: snap.name,
+                                    created_at: snap.created_at
+                                });
+                            }
+                        });
+                        nextVm();
+                    });
+                }, next);
+            });
+        },
+        function confirmPrune(next) {
+            if (toDelete.length === 0) {
+                p('No snapshots to delete');
+                return next();
+            }
+            tabulate(toDelete, {
+                columns: 'uuid,alias,snapshot,created_at',
+                validFields: 'uuid,alias,snapshot,created_at',
+                sort: 'uuid,created_at'
+            });
+            if (opts.dry_run || opts.yes) {
+                return next();
+            } else if (!process.stdin.isTTY) {
+                return next(new errors.UsageError(sprintf(
+                    'refusing to delete %d snapshots without ' +
+                    'confirmation: use "-y"', toDelete.length)));
+            }
+            confirm(sprintf('\nDelete these %d snapshots? [y/N] ',
+                toDelete.length), function (err, confirmed) {
+                if (err) {
+                    return next(err);
+                } else if (!confirmed) {
+                    return next(new errors.UsageError('aborted'));
+                }
+                next();
+            });
+        },
+        function pruneSnapshots(next) {
+            if (opts.dry_run || toDelete.length === 0) {
+                return next();
+            }
+            // One VM's snapshots are deleted one after the other, waiting
+            // for each job: vmadm fails overlapping snapshot deletes.
+            var byVm = {};
+            toDelete.forEach(function (d) {
+                (byVm[d.uuid] = byVm[d.uuid] || []).push(d);
+            });
+            async.forEachLimit(Object.keys(byVm),
+                opts.concurrency || BULK_CONCURRENCY,
+                function (uuid, nextVm) {
+                async.forEachSeries(byVm[uuid], deleteOne, nextVm);
+            }, function () {
+                p('');
+                tabulate(toDelete, {
+                    columns: 'uuid,alias,snapshot,job_uuid,result',
+                    validFields: 'uuid,alias,snapshot,job_uuid,result'
+                });
+                var numFailed = toDelete.filter(function (d) {
+                    return (d.result !== 'succeeded');
+                }).length;
+                if (numFailed) {
+                    return next(new errors.BulkActionError('delete-snapshot',
+                        numFailed, toDelete.length, 'snapshots'));
+                }
+                next();
+            });
+        }
+    ], callback);
+
+    function deleteOne(d, next) {
+        var params = {uuid: d.uuid, name: d.snapshot};
+        self.vmapi.deleteSnapshot(params, function (err, job) {
+            if (err) {
+                d.result = 'error: ' +
+                    (err.body ? err.body.message : err.message);
+                return next();
+            }
+            d.job_uuid = job.job_uuid;
+            self.waitForJob(job.job_uuid, {quiet: true},
+                function (wErr, finished) {
+                if (wErr) {
+                    d.result = 'error: ' + wErr.message;
+                } else if (finished.execution !== 'succeeded') {
+                    d.result = (new errors.JobFailedError(finished)).message;
+                } else {
+                    d.result = finished.execution;
+                }
+                next();
+            });
+        });
+    }
+};
+CLI.prototype.do_prune_snapshots.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['older-than'],
+        type: 'string',
+        help: 'Delete snapshots created before this time: a duration ' +
+            'ago (e.g. "2w") or a date.',
+        helpArg: 'TIME'
+    },
+    {
+        names: ['keep'],
+        type: 'positiveInteger',
+        help: 'Keep the newest N snapshots of each VM.',
+        helpArg: 'N'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Only list the snapshots that would be deleted.'
+    },
+    FORCE_OPTION
+].concat(BULK_OPTIONS);
+CLI.prototype.do_prune_snapshots.help = (
+    'Delete old snapshots of one or more VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} prune-snapshots [<options>] <uuid>...\n' +
+    '     {{name}} prune-snapshots [<options>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} prune-snapshots [<options>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'With both "--older-than" and "--keep", only snapshots matching both\n' +
+    'are deleted. The snapshots to delete are listed and confirmation is\n' +
+    'required (use "-y" to skip it). One VM\'s snapshots are deleted one\n' +
+    'at a time, waiting for each delete job to finish. Snapshots of core\n' +
+    'VMs and VMs tagged "protected=true" are only deleted with "--force".\n'
 );
 
 
 CLI.prototype.do_delete = function (subcmd, opts, args, callback) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    }
+    this._doVmAction('delete', opts, args, {}, callback);
+};
+CLI.prototype.do_delete.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    FORCE_OPTION,
+    WAIT_OPTION
+].concat(BULK_OPTIONS);
+CLI.prototype.do_delete.help = (
+    'Delete one or more VMs.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} delete [<options>] <uuid>...\n' +
+    '     {{name}} delete [<options>] <filter-terms>...\n' +
+    '     ...uuids... | {{name}} delete [<options>] -\n' +
+    '\n' +
+    '{{options}}\n' +
+    'Multiple VMs can be given as several UUIDs, as filter terms (see\n' +
+    '"{{name}} help list"), or as UUIDs on stdin with "-". Per-VM\n' +
+    'results are then printed as a table.\n' +
+    '\n' +
+    'The VMs are shown and confirmation is required (use "-y" to skip\n' +
+    'it). Core VMs (with a "smartdc_role" tag) and VMs tagged\n' +
+    '"protected=true" are refused unless "--force" is given.\n'
+);
+
+CLI.prototype.do_evacuate_plan = function (subcmd, opts, args, callback) {
+    var self = this;
     if (opts.help) {
         this.do_help('help', {}, [subcmd], callback);
         return;
@@ -1162,32 +5658,239 @@ CLI.prototype.do_delete = function (subcmd, opts, args, callback) {
         return callback(new errors.UsageError(sprintf(
             'incorrect number of arguments: "%s"', args.join(' '))));
     }
-    var uuid = args[0];
-    this.vmapi.deleteVm({ uuid: uuid }, function (err, job) {
-        if (err) {
-            return callback(new errors.APIError(err));
+
+    var source;
+    var targets;
+    var vms;
+    var pkgs = {};
+    var imgs = {};
+    var placements = [];
+
+    function imageUuidFromVm(vm) {
+        return (vm.image_uuid ||
+            (vm.disks && vm.disks[0] && vm.disks[0].image_uuid));
+    }
+
+    async.series([
+        function getServers(next) {
+            self.cnapi.listServers({extras: 'capacity,memory'},
+                function (err, servers) {
+                if (err) {
+                    return next(new errors.APIError(err));
+                }
+                source = servers.filter(function (s) {
+                    return (s.uuid === args[0] || s.hostname === args[0]);
+                })[0];
+                if (!source) {
+                    return next(new errors.UsageError(sprintf(
+                        'no server with UUID or hostname "%s"', args[0])));
+                }
+                // Without "unreserved_disk" there's no free disk to plan
+                // with, so such servers aren't targets.
+                targets = servers.filter(function (s) {
+                    return (s.uuid !== source.uuid && s.setup &&
+                        s.status === 'running' && !s.reserved &&
+                        !s.headnode && s.unreserved_disk !== undefined);
+                }).map(function (s) {
+                    var freeRam = (s.unreserved_ram !== undefined
+                        ? s.unreserved_ram
+                        : Math.floor(s.memory_available_bytes / 1048576));
+                    return {
+                        uuid: s.uuid,
+                        hostname: s.hostname,
+                        traits: s.traits || {},
+                        free_ram: freeRam,
+                        free_disk: s.unreserved_disk,
+                        planned_ram: 0,
+                        planned_disk: 0,
+                        num_vms: 0
+                    };
+                });
+                next();
+            });
+        },
+        function getVms(next) {
+            var filter = compileVmFilter(['server_uuid=' + source.uuid]);
+            self.listAllVms(filter, function (err, vms_) {
+                vms = vms_;
+                next(err);
+            });
+        },
+        function getPackages(next) {
+            var pkgUuids = [];
+            vms.forEach(function (vm) {
+                if (vm.billing_id && pkgUuids.indexOf(vm.billing_id) === -1) {
+                    pkgUuids.push(vm.billing_id);
+                }
+            });
+            async.forEachLimit(pkgUuids, BULK_CONCURRENCY,
+                function (uuid, nextPkg) {
+                self.papi.get(uuid, {}, function (err, pkg) {
+                    // A missing package just means no package traits.
+                    pkgs[uuid] = (err ? null : pkg);
+                    nextPkg();
+                });
+            }, next);
+        },
+        function getImages(next) {
+            var imageUuids = [];
+            vms.forEach(function (vm) {
+                var uuid = imageUuidFromVm(vm);
+                if (uuid && imageUuids.indexOf(uuid) === -1) {
+                    imageUuids.push(uuid);
+                }
+            });
+            async.forEachLimit(imageUuids, BULK_CONCURRENCY,
+                function (uuid, nextImg) {
+                self.imgapi.getImage(uuid, function (err, img) {
+                    // A missing image just means no image traits.
+                    imgs[uuid] = (err ? null : img);
+                    nextImg();
+                });
+            }, next);
+        },
+        function plan(next) {
+            // Biggest first, each on the fitting server with most free RAM.
+            vms.sort(function (a, b) { return b.ram - a.ram; });
+            vms.forEach(function (vm) {
+                var pkg = pkgs[vm.billing_id];
+                var img = imgs[imageUuidFromVm(vm)];
+                // As with provisioning, package traits override image ones.
+                var traits = objMerge(objCopy((img && img.traits) || {}),
+                    (pkg && pkg.traits) || {});
+                var disk = (vm.quota || 0) * 1024;
+                (vm.disks || []).forEach(function (d) {
+                    disk += (d.size || 0);
+                });
+                var placement = {
+                    uuid: vm.uuid,
+                    alias: vm.alias,
+                    state: vm.state,
+                    ram: vm.ram,
+                    disk: disk,
+                    package: (pkg ? pkg.name : vm.billing_id),
+                    traits: traits
+                };
+                var fits = targets.filter(function (t) {
+                    return (traitsMatch(placement.traits, t.traits) &&
+                        t.free_ram - t.planned_ram >= placement.ram &&
+                        t.free_disk - t.planned_disk >= placement.disk);
+                }).sort(function (a, b) {
+                    return ((b.free_ram - b.planned_ram) -
+                        (a.free_ram - a.planned_ram));
+                });
+                if (fits.length === 0) {
+                    placement.reason = (targets.some(function (t) {
+                        return traitsMatch(placement.traits, t.traits);
+                    }) ? 'no server with enough free RAM and disk'
+                        : 'no server with matching traits');
+                } else {
+                    var target = fits[0];
+                    target.planned_ram += placement.ram;
+                    target.planned_disk += placement.disk;
+                    target.num_vms++;
+                    placement.target_uuid = target.uuid;
+                    placement.target_hostname = target.hostname;
+                }
+                placements.push(placement);
+            });
+            next();
+        },
+        function printPlan(next) {
+            var unplaced = placements.filter(function (pl) {
+                return !pl.target_uuid;
+            });
+            var used = targets.filter(function (t) { return t.num_vms; });
+            if (opts.json) {
+                p(JSON.stringify({
+                    server_uuid: source.uuid,
+                    hostname: source.hostname,
+                    placements: placements,
+                    servers: used
+                }, null, 2));
+            } else if (placements.length === 0) {
+                p('No VMs on server %s (%s)', source.uuid, source.hostname);
+            } else {
+                p('Evacuation plan for server %s (%s): %d VMs\n',
+                    source.uuid, source.hostname, placements.length);
+                tabulate(placements.map(function (pl) {
+                    return objMerge(objCopy(pl), {
+                        traits: Object.keys(pl.traits).join(',') || '-',
+                        target: pl.target_hostname || '(' + pl.reason + ')'
+                    });
+                }), {
+                    columns: 'uuid,alias,state,package,ram,disk,traits,' +
+                        'target,target_uuid',
+                    validFields: 'uuid,alias,state,package,ram,disk,' +
+                        'traits,target,target_uuid'
+                });
+                p('');
+                tabulate(used.map(function (t) {
+                    return {
+                        hostname: t.hostname,
+                        uuid: t.uuid,
+                        vms: t.num_vms,
+                        free_ram: t.free_ram,
+                        ram_after: t.free_ram - t.planned_ram,
+                        free_disk: t.free_disk,
+                        disk_after: t.free_disk - t.planned_disk
+                    };
+                }), {
+                    columns: 'hostname,uuid,vms,free_ram,ram_after,' +
+                        'free_disk,disk_after',
+                    validFields: 'hostname,uuid,vms,free_ram,ram_after,' +
+                        'free_disk,disk_after',
+                    sort: 'hostname'
+                });
+            }
+            if (unplaced.length && !opts.json) {
+                console.error('\nwarning: %d of %d VMs could not be placed',
+                    unplaced.length, placements.length);
+            }
+            next();
         }
-        p('Delete job %s for VM %s created', job['job_uuid'], job['vm_uuid']);
-        return callback();
-    });
+    ], callback);
 };
-CLI.prototype.do_delete.options = [
+CLI.prototype.do_evacuate_plan.options = [
     {
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
     }
 ];
-CLI.prototype.do_delete.help = (
-    'Delete a VM.\n' +
+CLI.prototype.do_evacuate_plan.help = (
+    'Plan where to move the VMs on a server, e.g. for maintenance.\n' +
     '\n' +
     'Usage:\n' +
-    '     {{name}} delete [<options>] <uuid>\n' +
+    '     {{name}} evacuate-plan [<options>] <server-uuid-or-hostname>\n' +
     '\n' +
-    '{{options}}\n'
+    '{{options}}\n' +
+    'Each VM is placed on the running, setup, non-reserved, non-headnode\n' +
+    'server with the most unreserved RAM that also has enough unreserved\n' +
+    'disk and matches the traits of the VM\'s package and image (package\n' +
+    'traits override image ones). Servers that don\'t report unreserved\n' +
+    'disk are not used. RAM and disk are in MiB. This only prints a plan:\n' +
+    'no VMs are moved.\n'
 );
 
 
+//---- exports
+
+module.exports = {
+    CLI: CLI,
+    // Exported for testing.
+    compileVmFilter: compileVmFilter,
+    parseFilterTerm: parseFilterTerm,
+    printItems: printItems
+};
+
+
+
 //---- mainline
 
 if (require.main === module) {
@@ -0,0 +1,354 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Unit tests for sdc-events internals. These don't search any logs.
+ */
+
+var events = require('../lib/sdc-events');
+
+
+// node-tap API
+if (require.cache[__dirname + '/tap4nodeunit.js'])
+    delete require.cache[__dirname + '/tap4nodeunit.js'];
+var tap4nodeunit = require('./tap4nodeunit.js');
+var after = tap4nodeunit.after;
+var before = tap4nodeunit.before;
+var test = tap4nodeunit.test;
+
+
+var T0 = Date.UTC(2015, 5, 1, 12, 0, 0);
+
+/*
+ * A hit (as from `hitsFromGrepOutput`) for a bunyan record from service
+ * `name` with the given req_id and "evt" fields, `ms` after T0.
+ */
+function hit(name, reqId, evt, ms) {
+    var time = new Date(T0 + ms);
+    var rec = {
+        name: name,
+        req_id: reqId,
+        evt: evt,
+        time: time.toISOString()
+    };
+    return {
+        line: JSON.stringify(rec),
+        rec: rec,
+        time: time,
+        logInst: {}
+    };
+}
+
+
+//---- EventPairer
+
+test('EventPairer: begin and end', function (t) {
+    var pairer = new events.EventPairer();
+    t.equal(pairer.add(hit('vmapi', 'r1', {name: 'createvm', ph: 'B'}, 0)),
+        undefined, 'begin gives no pair');
+    t.equal(pairer.numUnpaired(), 1);
+    var pair = pairer.add(
+        hit('vmapi', 'r1', {name: 'createvm', ph: 'E'}, 250));
+    t.deepEqual(pair, {
+        event: 'vmapi.createvm',
+        req_id: 'r1',
+        start: new Date(T0),
+        duration: 250
+    });
+    t.equal(pairer.numUnpaired(), 0);
+    t.end();
+});
+
+test('EventPairer: nested events with the same key', function (t) {
+    var pairer = new events.EventPairer();
+    var evt = {name: 'getvm', ph: 'E'};
+    pairer.add(hit('vmapi', 'r1', {name: 'getvm', ph: 'B'}, 0));
+    pairer.add(hit('vmapi', 'r1', {name: 'getvm', ph: 'B'}, 100));
+    t.equal(pairer.numUnpaired(), 2);
+    var inner = pairer.add(hit('vmapi', 'r1', evt, 150));
+    t.equal(inner.duration, 50, 'innermost is paired first');
+    t.equal(inner.start.valueOf(), T0 + 100);
+    var outer = pairer.add(hit('vmapi', 'r1', evt, 400));
+    t.equal(outer.duration, 400);
+    t.equal(pairer.numUnpaired(), 0);
+    t.equal(pairer.add(hit('vmapi', 'r1', evt, 500)), undefined,
+        'an extra end is not paired');
+    t.end();
+});
+
+test('EventPairer: async events are paired by id', function (t) {
+    var pairer = new events.EventPairer();
+    pairer.add(hit('cnapi', 'r1', {name: 'task', ph: 'b', id: 1}, 0));
+    pairer.add(hit('cnapi', 'r1', {name: 'task', ph: 'b', id: 2}, 10));
+    var first = pairer.add(
+        hit('cnapi', 'r1', {name: 'task', ph: 'e', id: 1}, 30));
+    t.equal(first.duration, 30, 'not the most recent begin');
+    t.equal(pairer.add(
+        hit('cnapi', 'r1', {name: 'task', ph: 'e', id: 3}, 40)),
+        undefined, 'an unknown id is not paired');
+    var second = pairer.add(
+        hit('cnapi', 'r1', {name: 'task', ph: 'e', id: 2}, 50));
+    t.equal(second.duration, 40);
+    t.equal(pairer.numUnpaired(), 0);
+    t.end();
+});
+
+test('EventPairer: the key', function (t) {
+    var pairer = new events.EventPairer();
+    pairer.add(hit('cloudapi', 'r1', {name: 'createvm', ph: 'B'}, 0));
+    t.equal(pairer.add(
+        hit('vmapi', 'r1', {name: 'createvm', ph: 'E'}, 10)),
+        undefined, 'not paired across services');
+    t.equal(pairer.add(
+        hit('cloudapi', 'r2', {name: 'createvm', ph: 'E'}, 10)),
+        undefined, 'not paired across req_ids');
+    t.equal(pairer.add(
+        hit('cloudapi', 'r1', {name: 'deletevm', ph: 'E'}, 10)),
+        undefined, 'not paired across event names');
+    t.equal(pairer.add(
+        hit('cloudapi', 'r1', {name: 'createvm', ph: 'E'}, 20)).duration,
+        20);
+    t.end();
+});
+
+test('EventPairer: records without a req_id', function (t) {
+    var pairer = new events.EventPairer();
+    t.equal(pairer.add(
+        hit('vmapi', undefined, {name: 'poll', ph: 'B'}, 0)), undefined);
+    t.equal(pairer.numUnpaired(), 0, 'begin is skipped');
+    t.equal(pairer.add(
+        hit('vmapi', undefined, {name: 'poll', ph: 'E'}, 10)), undefined);
+    t.equal(pairer.add(
+        hit('vmapi', 42, {name: 'poll', ph: 'B'}, 0)), undefined);
+    t.equal(pairer.numUnpaired(), 0, 'a non-string req_id is skipped');
+    t.end();
+});
+
+test('EventPairer: complete events', function (t) {
+    var pairer = new events.EventPairer();
+    var pair = pairer.add(hit('vmapi', 'r1',
+        {name: 'ping', ph: 'X', dur: 1500400}, 0));
+    t.deepEqual(pair, {
+        event: 'vmapi.ping',
+        req_id: 'r1',
+        start: new Date(T0),
+        duration: 1500
+    }, '"dur" is in microseconds');
+    t.equal(pairer.add(hit('vmapi', undefined,
+        {name: 'ping', ph: 'X', dur: 2000}, 0)).duration, 2,
+        'no req_id is needed');
+    t.equal(pairer.add(hit('vmapi', 'r1', {name: 'ping', ph: 'X'}, 0)),
+        undefined, 'no "dur"');
+    t.equal(pairer.numUnpaired(), 0);
+    t.end();
+});
+
+test('EventPairer: other phases', function (t) {
+    var pairer = new events.EventPairer();
+    t.equal(pairer.add(hit('vmapi', 'r1', {name: 'x', ph: 'i'}, 0)),
+        undefined);
+    t.equal(pairer.add(hit('vmapi', 'r1', undefined, 0)), undefined,
+        'no "evt"');
+    t.equal(pairer.numUnpaired(), 0);
+    t.end();
+});
+
+
+//---- TransHit2Stats
+
+/*
+ * Run the given hits through a JSON `TransHit2Stats` and call back with
+ * the parsed output.
+ */
+function statsFromHits(hits, cb) {
+    var stats = new events.TransHit2Stats({json: true});
+    var output = '';
+    stats.on('data', function (chunk) {
+        output += chunk;
+    });
+    stats.on('end', function () {
+        cb(JSON.parse(output));
+    });
+    hits.forEach(function (h) {
+        stats.write(h);
+    });
+    stats.end();
+}
+
+test('TransHit2Stats: nearest-rank percentiles', function (t) {
+    var hits = [];
+    // Ten "vmapi.getvm" events taking 10ms, 20ms, ... 100ms.
+    for (var i = 1; i <= 10; i++) {
+        var reqId = 'r' + i;
+        hits.push(hit('vmapi', reqId, {name: 'getvm', ph: 'B'}, 0));
+        hits.push(hit('vmapi', reqId, {name: 'getvm', ph: 'E'}, i * 10));
+    }
+    statsFromHits(hits, function (stats) {
+        t.deepEqual(stats.events, [ {
+            event: 'vmapi.getvm',
+            count: 10,
+            min: 10,
+            p50: 50,
+            p90: 90,
+            p99: 100,
+            max: 100
+        } ]);
+        t.equal(stats.unpaired, 0);
+        t.end();
+    });
+});
+
+test('TransHit2Stats: a single event', function (t) {
+    statsFromHits([
+        hit('vmapi', 'r1', {name: 'ping', ph: 'X', dur: 7000}, 0)
+    ], function (stats) {
+        var e = stats.events[0];
+        t.equal(e.count, 1);
+        [e.min, e.p50, e.p90, e.p99, e.max].forEach(function (d) {
+            t.equal(d, 7);
+        });
+        t.end();
+    });
+});
+
+test('TransHit2Stats: slowest requests and unpaired', function (t) {
+    statsFromHits([
+        hit('cloudapi', 'r1', {name: 'createvm', ph: 'B'}, 0),
+        hit('vmapi', 'r1', {name: 'createvm', ph: 'B'}, 100),
+        hit('vmapi', 'r1', {name: 'createvm', ph: 'E'}, 300),
+        hit('cloudapi', 'r1', {name: 'createvm', ph: 'E'}, 1000),
+        hit('cloudapi', 'r2', {name: 'getvm', ph: 'B'}, 0),
+        hit('cloudapi', 'r2', {name: 'getvm', ph: 'E'}, 50),
+        hit('cloudapi', 'r3', {name: 'getvm', ph: 'B'}, 0),
+        hit('cloudapi', 'r4', {name: 'getvm', ph: 'E'}, 10)
+    ], function (stats) {
+        t.deepEqual(stats.events.map(function (e) { return e.event; }),
+            ['cloudapi.createvm', 'cloudapi.getvm', 'vmapi.createvm']);
+        t.deepEqual(stats.slowest, [
+            {
+                req_id: 'r1',
+                start: new Date(T0).toISOString(),
+                duration: 1000,
+                events: 2,
+                slowest_event: 'cloudapi.createvm'
+            },
+            {
+                req_id: 'r2',
+                start: new Date(T0).toISOString(),
+                duration: 50,
+                events: 1,
+                slowest_event: 'cloudapi.getvm'
+            }
+        ]);
+        t.equal(stats.unpaired, 1, 'the begin for r3');
+        t.end();
+    });
+});
+
+
+//---- time ranges (`-t`)
+
+var HOUR = 60 * 60 * 1000;
+
+/*
+ * Assert that `date` is about `ms` before now: durations are relative to
+ * the time they are parsed.
+ */
+function agoEqual(t, date, ms, msg) {
+    t.ok(Math.abs(Date.now() - ms - date.valueOf()) < 5000,
+        msg + ': ' + date.toISOString());
+}
+
+test('parseTime', function (t) {
+    agoEqual(t, events.parseTime('2h'), 2 * HOUR, '2h');
+    agoEqual(t, events.parseTime('90m'), 90 * 60 * 1000, '90m');
+    agoEqual(t, events.parseTime('2d'), 48 * HOUR, '2d');
+    t.equal(events.parseTime('2015-02-13').valueOf(),
+        Date.UTC(2015, 1, 13), 'date only');
+    t.equal(events.parseTime('2015-02-13T20:15').valueOf(),
+        Date.UTC(2015, 1, 13, 20, 15), 'no "Z" is UTC');
+    t.equal(events.parseTime('2015-02-13T20:15:03.123Z').valueOf(),
+        Date.UTC(2015, 1, 13, 20, 15, 3, 123));
+    t.equal(events.parseTime('1423858503').valueOf(),
+        1423858503000, 'epoch seconds');
+    ['', 'foo', '0h', '2w', '-2h', '2015-02-30T25:00', '2015-02-13 20:15']
+        .forEach(function (arg) {
+            t.equal(events.parseTime(arg), undefined, JSON.stringify(arg));
+        });
+    t.end();
+});
+
+test('parseTimeRange', function (t) {
+    function parse(arg) {
+        return events.parseTimeRange({}, '-t', arg);
+    }
+
+    var range = parse('3h');
+    agoEqual(t, range.start, 3 * HOUR, '3h start');
+    t.equal(range.end, undefined, '3h end');
+
+    range = parse('3h-2h');
+    agoEqual(t, range.start, 3 * HOUR, '3h-2h start');
+    agoEqual(t, range.end, 2 * HOUR, '3h-2h end');
+
+    range = parse('2015-02-13T20:00-2015-02-13T21:30');
+    t.equal(range.start.valueOf(), Date.UTC(2015, 1, 13, 20), 'DATE-DATE');
+    t.equal(range.end.valueOf(), Date.UTC(2015, 1, 13, 21, 30));
+
+    range = parse('2015-02-13T20:00Z/2015-02-13T21:30:00.000Z');
+    t.equal(range.start.valueOf(), Date.UTC(2015, 1, 13, 20), 'DATE/DATE');
+    t.equal(range.end.valueOf(), Date.UTC(2015, 1, 13, 21, 30));
+
+    range = parse('2015-02-13T20:00-30m');
+    t.equal(range.start.valueOf(), Date.UTC(2015, 1, 13, 20), 'DATE-30m');
+    agoEqual(t, range.end, 30 * 60 * 1000, 'DATE-30m end');
+
+    range = parse('2015-02-13-2015-02-14');
+    t.equal(range.start.valueOf(), Date.UTC(2015, 1, 13), 'date-only');
+    t.equal(range.end.valueOf(), Date.UTC(2015, 1, 14));
+
+    range = parse('2015-02-13');
+    t.equal(range.start.valueOf(), Date.UTC(2015, 1, 13));
+    t.equal(range.end, undefined);
+
+    ['foo', '3h-', '-2h', '3h-foo', '2015-02-13T20:00-', '3h/2h/1h']
+        .forEach(function (arg) {
+            t.throws(function () { parse(arg); }, Error, arg);
+        });
+    t.end();
+});
+
+test('hoursFromTimeRange', function (t) {
+    var now = Date.UTC(2015, 1, 13, 21, 30);
+    function hours(start, end, follow) {
+        return events.hoursFromTimeRange(new Date(start),
+            end && new Date(end), now, follow);
+    }
+
+    // Logs for 20:xx are in the file for hour "21:".
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 20, 15)),
+        ['2015-02-13T21:', 'curr'], 'up to now');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 20, 15), undefined, true),
+        ['2015-02-13T21:'], 'no current log with follow');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 21, 10)), ['curr'],
+        'just the current hour');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 18),
+        Date.UTC(2015, 1, 13, 20)),
+        ['2015-02-13T19:', '2015-02-13T20:'], 'end on the hour');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 18, 59, 59, 999),
+        Date.UTC(2015, 1, 13, 20, 0, 0, 1)),
+        ['2015-02-13T19:', '2015-02-13T20:', '2015-02-13T21:'],
+        'just past the hours');
+    t.deepEqual(hours(Date.UTC(2015, 1, 12, 23, 30),
+        Date.UTC(2015, 1, 13, 1)),
+        ['2015-02-13T00:', '2015-02-13T01:'], 'across midnight');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 20, 30),
+        Date.UTC(2015, 1, 13, 23)),
+        ['2015-02-13T21:', 'curr'], 'the end is at most now');
+    t.deepEqual(hours(Date.UTC(2015, 1, 13, 20),
+        Date.UTC(2015, 1, 13, 20)), [], 'empty range');
+    t.end();
+});
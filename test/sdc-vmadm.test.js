@@ -0,0 +1,383 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for sdc-vmadm internals. These don't talk to any SDC APIs.
+ */
+
+var vmadm = require('../lib/sdc-vmadm');
+var errors = require('../lib/errors');
+
+
+// node-tap API
+if (require.cache[__dirname + '/tap4nodeunit.js'])
+    delete require.cache[__dirname + '/tap4nodeunit.js'];
+var tap4nodeunit = require('./tap4nodeunit.js');
+var after = tap4nodeunit.after;
+var before = tap4nodeunit.before;
+var test = tap4nodeunit.test;
+
+
+// The VMAPI query clause for the default "state=active" filter.
+var ACTIVE = '(!(state=destroyed))(!(state=failed))';
+
+function queryFromTerms(terms) {
+    return vmadm.compileVmFilter(terms).query;
+}
+
+function vm(fields) {
+    var v = {
+        uuid: 'aaaaaaaa-0000-4000-8000-000000000001',
+        alias: 'web1',
+        brand: 'joyent',
+        state: 'running',
+        max_physical_memory: 512,
+        quota: 20,
+        autoboot: true,
+        create_timestamp: '2015-01-10T00:00:00.000Z',
+        tags: {role: 'web'}
+    };
+    Object.keys(fields || {}).forEach(function (k) {
+        v[k] = fields[k];
+    });
+    return v;
+}
+
+
+//---- filter term grammar
+
+test('filter terms: operators', function (t) {
+    t.equal(queryFromTerms(['alias=web1']),
+        '(&' + ACTIVE + '(alias=web1))');
+    t.equal(queryFromTerms(['alias==web1']),
+        '(&' + ACTIVE + '(alias=web1))', '"==" is "="');
+    t.equal(queryFromTerms(['alias!=web1']),
+        '(&' + ACTIVE + '(!(alias=web1)))');
+    t.equal(queryFromTerms(['ram>=512']),
+        '(&' + ACTIVE + '(max_physical_memory>=512))', '"ram" attr');
+    t.equal(queryFromTerms(['ram<=512']),
+        '(&' + ACTIVE + '(max_physical_memory<=512))');
+    t.equal(queryFromTerms(['ram>512']),
+        '(&' + ACTIVE + '(max_physical_memory>=512)' +
+        '(!(max_physical_memory=512)))', '">" is ">=" and not "="');
+    t.equal(queryFromTerms(['ram < 512']),
+        '(&' + ACTIVE + '(max_physical_memory<=512)' +
+        '(!(max_physical_memory=512)))', 'spaces around the op');
+    t.end();
+});
+
+test('filter terms: match', function (t) {
+    function matches(term, v) {
+        return vmadm.parseFilterTerm(term).match(v);
+    }
+    t.ok(matches('alias=web1', vm()));
+    t.notOk(matches('alias=web2', vm()));
+    t.ok(matches('alias!=web2', vm()));
+    t.ok(matches('ram=512', vm()), 'ram falls back to max_physical_memory');
+    t.ok(matches('ram>256', vm()));
+    t.notOk(matches('ram>512', vm()));
+    t.ok(matches('ram>=512', vm()));
+    t.ok(matches('quota<=20', vm()));
+    t.notOk(matches('quota<20', vm()));
+    t.ok(matches('alias<webz', vm()), 'strings compare lexically');
+    t.ok(matches('autoboot=true', vm()));
+    t.ok(matches('autoboot=false', vm({autoboot: undefined})),
+        'a missing bool is false');
+    t.notOk(matches('zpool=zones', vm()), 'a missing field never matches');
+    t.ok(matches('zpool!=zones', vm()), '... unless with "!="');
+    t.ok(matches('tag.role=web', vm()));
+    t.ok(matches('tags.role=web', vm()), '"tags." is "tag."');
+    t.notOk(matches('tag.role=db', vm()));
+    t.notOk(matches('tag.color=red', vm({tags: undefined})));
+    t.end();
+});
+
+test('filter terms: wildcards', function (t) {
+    t.equal(queryFromTerms(['alias=web*']),
+        '(&' + ACTIVE + '(alias=web*))');
+    t.equal(queryFromTerms(['alias=*eb*1']),
+        '(&' + ACTIVE + '(alias=*eb*1))');
+    t.equal(queryFromTerms(['alias!=web*']),
+        '(&' + ACTIVE + '(!(alias=web*)))');
+    t.equal(queryFromTerms(['tag.role=w*b']),
+        '(&' + ACTIVE + '(tags=*-role=w*b-*))');
+
+    var term = vmadm.parseFilterTerm('alias=w*1');
+    t.ok(term.match(vm({alias: 'web1'})));
+    t.ok(term.match(vm({alias: 'w1'})));
+    t.notOk(term.match(vm({alias: 'web12'})), 'globs are anchored');
+    t.ok(vmadm.parseFilterTerm('tag.role=w*').match(vm()));
+
+    t.throws(function () {
+        vmadm.parseFilterTerm('alias>web*');
+    }, errors.UsageError, 'wildcards only with "=" and "!="');
+    t.end();
+});
+
+test('filter terms: dates', function (t) {
+    t.equal(queryFromTerms(['create_timestamp>=2015-01-01T00:00:00Z']),
+        '(&' + ACTIVE + '(create_timestamp>=1420070400000))');
+
+    var term = vmadm.parseFilterTerm('create_timestamp<2015-02-01');
+    t.ok(term.match(vm()));
+    t.notOk(term.match(vm({create_timestamp: '2015-03-01T00:00:00Z'})));
+
+    // A duration is that long ago.
+    var recent = vmadm.parseFilterTerm('create_timestamp>2d');
+    t.notOk(recent.match(vm()));
+    t.ok(recent.match(vm({create_timestamp: new Date().toISOString()})));
+
+    t.throws(function () {
+        vmadm.parseFilterTerm('create_timestamp>yesterday');
+    }, errors.UsageError);
+    t.end();
+});
+
+test('filter terms: invalid', function (t) {
+    [
+        'alias',
+        '=web1',
+        'nosuchfield=1',
+        'ram=lots',
+        'ram=',
+        'autoboot=yes',
+        'autoboot>true'
+    ].forEach(function (term) {
+        t.throws(function () {
+            vmadm.parseFilterTerm(term);
+        }, errors.UsageError, term);
+    });
+    t.end();
+});
+
+
+//---- escaping
+
+test('filter escaping: LDAP special chars', function (t) {
+    t.equal(queryFromTerms(['alias=a(b)']),
+        '(&' + ACTIVE + '(alias=a\\28b\\29))');
+    t.equal(queryFromTerms(['alias=a\\b']),
+        '(&' + ACTIVE + '(alias=a\\5cb))');
+    t.equal(queryFromTerms(['alias=(x)*']),
+        '(&' + ACTIVE + '(alias=\\28x\\29*))', 'in a substring filter');
+    t.end();
+});
+
+test('filter escaping: regexp special chars in wildcards', function (t) {
+    var term = vmadm.parseFilterTerm('alias=web.1*');
+    t.ok(term.match(vm({alias: 'web.1'})));
+    t.ok(term.match(vm({alias: 'web.12'})));
+    t.notOk(term.match(vm({alias: 'webx1'})), '"." is literal');
+
+    term = vmadm.parseFilterTerm('alias=a+(b)*');
+    t.ok(term.match(vm({alias: 'a+(b)c'})));
+    t.notOk(term.match(vm({alias: 'aa(b)c'})), '"+" is literal');
+    t.end();
+});
+
+
+//---- client-only terms
+
+test('filter: client-only terms', function (t) {
+    [
+        'quota>10',         // not indexed by VMAPI
+        'alias>web',        // lexical comparison
+        'autoboot=true',    // not indexed by VMAPI
+        'tag.role!=w*'      // negated tag wildcard
+    ].forEach(function (term) {
+        var filter = vmadm.compileVmFilter([term]);
+        t.equal(filter.query, '(&' + ACTIVE + ')', term + ': query');
+        t.deepEqual(filter.clientOnly, [term], term + ': clientOnly');
+    });
+
+    var filter = vmadm.compileVmFilter(['alias=web*', 'quota>10']);
+    t.equal(filter.query, '(&' + ACTIVE + '(alias=web*))');
+    t.deepEqual(filter.clientOnly, ['quota>10']);
+    t.ok(filter.match(vm()));
+    t.notOk(filter.match(vm({quota: 5})), 'client-only terms are checked');
+    t.notOk(filter.match(vm({alias: 'db1'})), 'as are the server ones');
+    t.end();
+});
+
+
+//---- the default "state=active"
+
+test('filter: default state=active', function (t) {
+    var filter = vmadm.compileVmFilter([]);
+    t.equal(filter.query, '(&' + ACTIVE + ')');
+    t.deepEqual(filter.clientOnly, []);
+    t.ok(filter.match(vm({state: 'stopped'})));
+    t.notOk(filter.match(vm({state: 'destroyed'})));
+    t.notOk(filter.match(vm({state: 'failed'})));
+
+    t.equal(queryFromTerms(['state=active']), '(&' + ACTIVE + ')',
+        'explicit "state=active"');
+    t.equal(queryFromTerms(['state!=active']), '(!(&' + ACTIVE + '))');
+    t.ok(vmadm.compileVmFilter(['state!=active'])
+        .match(vm({state: 'destroyed'})));
+
+    filter = vmadm.compileVmFilter(['state=destroyed']);
+    t.equal(filter.query, '(state=destroyed)',
+        'no default with another state term');
+    t.ok(filter.match(vm({state: 'destroyed'})));
+
+    filter = vmadm.compileVmFilter(['state=*']);
+    t.equal(filter.query, '(state=*)');
+    t.ok(filter.match(vm({state: 'failed'})), '"state=*" is all states');
+    t.end();
+});
+
+
+//---- output formats
+
+/*
+ * Return the lines `printItems` prints for the given items and options.
+ */
+function printed(rows, options) {
+    var out = '';
+    var write = process.stdout.write;
+    process.stdout.write = function (chunk) {
+        out += chunk;
+        return true;
+    };
+    try {
+        vmadm.printItems(rows, options);
+    } finally {
+        process.stdout.write = write;
+    }
+    return out.split('\n').slice(0, -1);
+}
+
+// Fresh items each time: `printItems` sorts them in place.
+function items() {
+    return [
+        {uuid: 'u1', alias: 'web1', nics: [ {ip: '10.0.0.1'} ]},
+        {uuid: 'u2', alias: 'db1', tags: {role: 'db'}}
+    ];
+}
+
+function itemsOpts(fields) {
+    var opts = {
+        columns: 'uuid,alias',
+        validFields: 'uuid,alias,nics,tags,note'
+    };
+    Object.keys(fields || {}).forEach(function (k) {
+        opts[k] = fields[k];
+    });
+    return opts;
+}
+
+test('printItems: table', function (t) {
+    t.deepEqual(printed(items(), itemsOpts()), [
+        'UUID  ALIAS',
+        'u1    web1 ',
+        'u2    db1  '
+    ]);
+    t.deepEqual(printed(items(), itemsOpts({skipHeader: true, sort: 'alias'})),
+        ['u2    db1  ', 'u1    web1 '], 'sorted, no header');
+    t.end();
+});
+
+test('printItems: csv', function (t) {
+    t.deepEqual(printed(items(), itemsOpts({format: 'csv'})),
+        ['uuid,alias', 'u1,web1', 'u2,db1']);
+
+    var rows = [
+        {uuid: 'u1', note: 'a,b'},
+        {uuid: 'u2', note: 'say "hi"'},
+        {uuid: 'u3', note: 'a\r\nb'},
+        {uuid: 'u4', tags: {role: 'db', n: 1}},
+        {uuid: 'u5', nics: ['a', 'b']},
+        {uuid: 'u6'}
+    ];
+    t.deepEqual(printed(rows, itemsOpts({format: 'csv',
+        columns: 'uuid,note,tags,nics'})), [
+        'uuid,note,tags,nics',
+        'u1,"a,b",,',
+        'u2,"say ""hi""",,',
+        'u3,"a\r',
+        'b",,',
+        'u4,,"{""role"":""db"",""n"":1}",',
+        'u5,,,"[""a"",""b""]"',
+        'u6,,,'
+    ], 'quoting');
+    t.end();
+});
+
+test('printItems: tsv', function (t) {
+    var rows = [
+        {uuid: 'u1', note: 'a\tb'},
+        {uuid: 'u2', note: 'a\r\nb', tags: {role: 'db'}}
+    ];
+    t.deepEqual(printed(rows, itemsOpts({format: 'tsv',
+        columns: 'uuid,note,tags'})), [
+        'uuid\tnote\ttags',
+        'u1\ta b\t',
+        'u2\ta  b\t{"role":"db"}'
+    ]);
+    t.end();
+});
+
+test('printItems: header', function (t) {
+    ['table', 'csv', 'tsv'].forEach(function (format) {
+        var lines = printed(items(), itemsOpts({format: format,
+            skipHeader: true}));
+        t.equal(lines.length, 2, format + ': "-H" skips the header');
+        t.equal(lines[0].slice(0, 2), 'u1', format);
+
+        // Listing pages of VMs only prints the header for the first page.
+        lines = printed(items().slice(0, 1), itemsOpts({format: format}))
+            .concat(printed(items().slice(1), itemsOpts({format: format,
+                skipHeader: true})));
+        t.equal(lines.length, 3, format + ': one header');
+
+        t.deepEqual(printed([], itemsOpts({format: format})), [],
+            format + ': nothing for no items');
+    });
+    t.end();
+});
+
+test('printItems: ndjson', function (t) {
+    t.deepEqual(printed(items(), itemsOpts({format: 'ndjson'})),
+        items().map(function (i) { return JSON.stringify(i); }),
+        'whole items, ignoring columns');
+    t.deepEqual(printed(items(), itemsOpts({format: 'ndjson', sort: 'alias'}))
+        .map(function (line) { return JSON.parse(line).uuid; }),
+        ['u2', 'u1'], 'sorted');
+    t.end();
+});
+
+test('printItems: template', function (t) {
+    t.deepEqual(printed(items(), itemsOpts({
+        template: '{{uuid}}\\t{{nics.0.ip}}'
+    })), ['u1\t10.0.0.1', 'u2\t'], 'dotted paths, "\\t"');
+    t.deepEqual(printed(items(), itemsOpts({
+        template: '{{alias}}:\\n{{tags}}',
+        sort: 'alias'
+    })), ['db1:', '{"role":"db"}', 'web1:', ''], '"\\n", objects as JSON');
+    t.deepEqual(printed(items(), itemsOpts({
+        format: 'csv',
+        template: '{{alias}}'
+    })), ['web1', 'db1'], 'the template wins over a format');
+    t.end();
+});
+
+test('printItems: invalid', function (t) {
+    t.throws(function () {
+        printed(items(), itemsOpts({format: 'xml'}));
+    }, errors.UsageError, 'unknown format');
+    t.throws(function () {
+        printed(items(), itemsOpts({format: 'csv', columns: 'uuid,bogus'}));
+    }, TypeError, 'unknown column');
+    t.throws(function () {
+        printed(items(), itemsOpts({format: 'ndjson', sort: 'bogus'}));
+    }, TypeError, 'unknown sort field');
+    t.end();
+});